@@ -1,56 +1,339 @@
-const JS     = require('@roadmunk/jsclass');
-const axios  = require('axios');
-const _      = require('lodash');
-const Moment = require('moment');
+const JS          = require('@roadmunk/jsclass');
+const axios       = require('axios');
+const crypto      = require('crypto');
+const debug       = require('debug');
+const _           = require('lodash');
+const Moment      = require('moment');
+const querystring = require('querystring');
+const packageJSON = require('./package.json');
 
 const RETRY_LIMIT                  = 10;	// number of retry attempts for any given API call
-const URL                          = 'https://api.clientsuccess.com/v1/';
+const DEFAULT_BASE_URL             = 'https://api.clientsuccess.com/v1/';
+const DEFAULT_COLLECTOR_URL        = 'https://usage.clientsuccess.com/collector/1.0.0/';
+const DEFAULT_USER_AGENT           = `${packageJSON.name}/${packageJSON.version}`;
+const IDEMPOTENT_METHODS           = [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE' ];
+const RETRYABLE_STATUSES           = [ 429, 502, 503, 504 ];
+const TIMEOUT_ERROR_CODES          = [ 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT' ];
+const DEFAULT_PAGE_SIZE            = 100;	// records requested per page by the list methods
+const DEFAULT_BULK_CONCURRENCY     = 5;		// records upserted at once by the bulk methods
+const CUSTOM_FIELD_RECORD_TYPES    = [ 'client', 'contact' ];
+const MUTATING_METHODS             = [ 'POST', 'PUT', 'PATCH', 'DELETE' ];
+const SUBSCRIPTION_DATES           = [ 'startDate', 'endDate', 'terminationDate', 'renewedDate' ];
+const OUTBOX_PATHS                 = /^(clients|subscriptions)(\/|$)/;	// writes kept in the outbox: clients, their contacts etc., and subscriptions
+const DEFAULT_REPLAY_INTERVAL      = 30 * 1000;	// milliseconds between attempts to replay the outbox
+const DEFAULT_CLOSE_TIMEOUT        = 10 * 1000;	// milliseconds close() waits for queued activity to be sent
+
+// reference data kept in the reference cache, by name, with the path it's loaded from
+const REFERENCE_DATA = {
+	clientSegments      : 'client-segments',
+	clientStatuses      : 'client-statuses',
+	products            : 'products',
+	clientCustomFields  : 'customfield/client',
+	contactCustomFields : 'customfield/contact',
+	employees           : 'employees',
+};
+const DEFAULT_TOKEN_LIFETIME       = 60 * 60 * 1000;	// milliseconds an access token is assumed valid when ClientSuccess doesn't say
+const DEFAULT_TOKEN_REFRESH_MARGIN = 60 * 1000;		// milliseconds before expiry at which a token is refreshed
+const USAGE_IDENTITY_TTL           = 60 * 60 * 1000;	// milliseconds a looked up client or contact is reused for usage events
+const MAX_USAGE_IDENTITIES         = 10000;	// looked up clients and contacts kept for usage events, the oldest are dropped first
+const MAX_ACTIVITY_LENGTH          = 64;	// longest activity name the usage collector accepts
+const RESERVED_USAGE_PROPERTIES    = [ 'identity', 'value', 'keen' ];	// filled in by the client, so not available as event properties
+
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts          : RETRY_LIMIT,	// total attempts for a request that keeps failing with a retryable error
+	maxReauthentications : 2,			// times an expired token is refreshed within one request, on top of maxAttempts
+	baseDelay            : 500,			// milliseconds, doubled on every attempt before jitter is applied
+	maxDelay             : 30000,		// milliseconds, upper bound on any single wait including Retry-After
+};
+
+// logger used when none is given, every message is dropped. Messages still go to the debug namespaces below
+const SILENT_LOGGER = { debug : _.noop, info : _.noop, warn : _.noop, error : _.noop };
+
+// enable with e.g. DEBUG=clientsuccess:* in the environment
+const DEBUG_NAMESPACES = {
+	http  : debug('clientsuccess:http'),
+	auth  : debug('clientsuccess:auth'),
+	usage : debug('clientsuccess:usage'),
+};
+
+const REDACTED    = '[REDACTED]';
+const SECRET_KEYS = [ 'password', 'authorization', 'access_token', 'accesstoken', 'api_key' ];	// lower case
+
+const ClientSuccessClient     = module.exports                              = JS.class('ClientSuccessClient');
+const CustomError             = ClientSuccessClient.CustomError             = JS.class('CustomError');
+const AuthenticationError     = ClientSuccessClient.AuthenticationError     = JS.class('AuthenticationError');
+const NotFoundError           = ClientSuccessClient.NotFoundError           = JS.class('NotFoundError');
+const ValidationError         = ClientSuccessClient.ValidationError         = JS.class('ValidationError');
+const RateLimitError          = ClientSuccessClient.RateLimitError          = JS.class('RateLimitError');
+const ServiceUnavailableError = ClientSuccessClient.ServiceUnavailableError = JS.class('ServiceUnavailableError');
+const NetworkError            = ClientSuccessClient.NetworkError            = JS.class('NetworkError');
+const TimeoutError            = ClientSuccessClient.TimeoutError            = JS.class('TimeoutError');
+
+// statusId of a Client
+const ClientStatus = ClientSuccessClient.ClientStatus = Object.freeze({
+	Active     : 1,
+	Inactive   : 2,
+	Trial      : 3,
+	Terminated : 4,
+});
+
+// type of an Interaction
+const InteractionType = ClientSuccessClient.InteractionType = Object.freeze({
+	Call    : 'Call',
+	Email   : 'Email',
+	Meeting : 'Meeting',
+	Note    : 'Note',
+});
+
+// priority of a to-do
+const ToDoPriority = ClientSuccessClient.ToDoPriority = Object.freeze({
+	Low    : 'Low',
+	Medium : 'Medium',
+	High   : 'High',
+});
+
+const RateLimiter    = ClientSuccessClient.RateLimiter    = require('./rateLimiter');
+const ReferenceCache = ClientSuccessClient.ReferenceCache = require('./referenceCache');
+const UsageBuffer    = ClientSuccessClient.UsageBuffer    = require('./usageBuffer');
+const Outbox         = ClientSuccessClient.Outbox         = require('./outbox');
 
-const ClientSuccessClient = module.exports                  = JS.class('ClientSuccessClient');
-const CustomError         = ClientSuccessClient.CustomError = JS.class('CustomError');
+ClientSuccessClient.MemoryTokenStore = require('./memoryTokenStore');
+
+ClientSuccessClient.MockServer = require('./mockClientSuccessServer');
 
 JS.class(ClientSuccessClient, {
 	fields : {
 		username        : null,
 		password        : null,
 		authToken       : null,
-		clientTypes     : null,
+		tokenExpiresAt  : null,
 		eventsProjectID : null,
 		eventsAPIKey    : null,
+		baseURL         : null,
+		collectorURL    : null,
+		transport       : null,
+		requestDefaults : null,
+		retryPolicy     : null,
+		logger          : null,
+		logFieldsFirst  : false,
+		dryRun          : false,
+
+		strictCustomFields : false,
+		referenceCache     : null,
+		rateLimiter        : null,
+		middleware         : null,
+		usageIdentities    : null,
+		usageBuffer        : null,
+		usageBufferOptions : null,
+		outbox             : null,
+		replayTimer        : null,
+		replaying          : null,
+
+		tokenStore            : null,
+		tokenLifetime         : null,
+		tokenRefreshMargin    : null,
+		onTokenRefreshed      : null,
+		pendingAuthentication : null,
 	},
 
-	constructor : function(username, password, eventsProjectID, eventsAPIKey) {
+	/**
+	 * Takes either a single options object, or the credentials positionally followed by the remaining options:
+	 * `new ClientSuccessClient(username, password, eventsProjectID, eventsAPIKey, options)`.
+	 * Credentials and URLs left out are read from the CLIENTSUCCESS_USERNAME, CLIENTSUCCESS_PASSWORD,
+	 * CLIENTSUCCESS_EVENTS_PROJECT_ID, CLIENTSUCCESS_EVENTS_API_KEY, CLIENTSUCCESS_BASE_URL and CLIENTSUCCESS_COLLECTOR_URL
+	 * environment variables.
+	 * @param {Object}   [options]
+	 * @param {String}   [options.username]        - ClientSuccess username
+	 * @param {String}   [options.password]        - ClientSuccess password
+	 * @param {String}   [options.eventsProjectID] - Usage collector project ID, required for trackActivity
+	 * @param {String}   [options.eventsAPIKey]    - Usage collector API key, required for trackActivity
+	 * @param {String}   [options.baseURL]         - REST API root, e.g. a sandbox or local stand-in. Defaults to https://api.clientsuccess.com/v1/
+	 * @param {String}   [options.collectorURL]    - Usage collector root. Defaults to https://usage.clientsuccess.com/collector/1.0.0/
+	 * @param {Number}   [options.timeout]         - Milliseconds before a request is abandoned with a TimeoutError. No limit by default
+	 * @param {String}   [options.userAgent]       - User-Agent header sent with every request
+	 * @param {Object}   [options.proxy]           - axios proxy config: host, port, auth
+	 * @param {Object}   [options.httpAgent]       - http.Agent for requests to http:// URLs
+	 * @param {Object}   [options.httpsAgent]      - https.Agent for requests to https:// URLs
+	 * @param {Object}   [options.logger]          - console-like (or winston-like) object with debug, info, warn and error methods,
+	 *                                               each called with a message and an object of fields. Silent by default.
+	 *                                               The same messages are always written to the clientsuccess:* debug namespaces.
+	 * @param {Boolean}  [options.logFieldsFirst=false] - Call the logger with the fields first and the message second,
+	 *                                                    as pino and bunyan expect
+	 * @param {Object}   [options.env=process.env] - Where the environment variables above are read from
+	 * @param {Function} [options.transport=axios] - Function taking an axios request config and resolving to an axios-style response.
+	 *                                               Use a MockClientSuccessServer's transport to run without network access.
+	 * @param {Object}   [options.retry]           - Overrides for the retry policy: maxAttempts, maxReauthentications, baseDelay, maxDelay
+	 * @param {Boolean}  [options.dryRun=false]    - Perform reads only. Mutating methods resolve to a plan describing the
+	 *                                               write and a field-by-field diff instead of sending POST/PUT/DELETE
+	 * @param {Boolean}  [options.strictCustomFields=false] - Throw a ValidationError for custom attributes that don't match a
+	 *                                                        custom field definition, instead of leaving them out with a warning
+	 * @param {RateLimiter|Object} [options.rateLimit] - RateLimiter to share with other instances, or options for a RateLimiter of
+	 *                                                   this instance's own: perSecond, perMinute, maxConcurrent, store, key
+	 * @param {Object}   [options.tokenStore]      - Where access tokens are shared with other instances, keyed by username.
+	 *                                               See MemoryTokenStore for the interface.
+	 * @param {Function} [options.onTokenRefreshed] - Called with { accessToken, expiresAt } after every login
+	 * @param {Number}   [options.tokenLifetime]   - Milliseconds a token is assumed valid when ClientSuccess doesn't send expires_in
+	 * @param {Number}   [options.tokenRefreshMargin] - Milliseconds before expiry at which a token is refreshed ahead of time
+	 * @param {Object[]} [options.middleware]      - Middleware to use(), in order
+	 * @param {ReferenceCache|Object} [options.referenceCache] - Cache for client segments, client statuses, products, custom field
+	 *                                                           definitions and employees, to share with other instances, or options
+	 *                                                           for a ReferenceCache of this instance's own: ttl, staleWhileRevalidate, store
+	 * @param {Object}   [options.usageBuffer]     - Options for the buffer behind queueActivity: maxBatchSize, flushInterval, flushOnExit, maxQueueSize
+	 * @param {Outbox|Object} [options.outbox]     - Outbox keeping writes and usage events that failed while ClientSuccess was unavailable,
+	 *                                               or options for an Outbox of this instance's own: path, store. Off by default.
+	 *                                               A write that reads the record first is only kept when that read succeeded
+	 * @param {Number}   [options.replayInterval=30000] - Milliseconds between attempts to replay the outbox, 0 to only replay by hand
+	 */
+	constructor : function(...args) {
+		const {
+			username, password, eventsProjectID, eventsAPIKey, baseURL, collectorURL,
+			timeout, userAgent = DEFAULT_USER_AGENT, proxy, httpAgent, httpsAgent, logger = SILENT_LOGGER, logFieldsFirst = false,
+			transport = axios, retry = {}, dryRun = false, strictCustomFields = false, rateLimit,
+			tokenStore, onTokenRefreshed, tokenLifetime = DEFAULT_TOKEN_LIFETIME, tokenRefreshMargin = DEFAULT_TOKEN_REFRESH_MARGIN,
+			middleware = [], referenceCache = {}, usageBuffer = {}, outbox, replayInterval = DEFAULT_REPLAY_INTERVAL,
+		} = toOptions(args);
+
 		this.username        = username;
 		this.password        = password;
 		this.eventsProjectID = eventsProjectID;
 		this.eventsAPIKey    = eventsAPIKey;
+		this.baseURL         = withTrailingSlash(baseURL);
+		this.collectorURL    = withTrailingSlash(collectorURL);
+		this.transport       = transport;
+		this.retryPolicy     = Object.assign({}, DEFAULT_RETRY_POLICY, retry);
+		this.logger          = logger;
+		this.logFieldsFirst  = logFieldsFirst;
+		this.dryRun          = dryRun;
+
+		this.requestDefaults = _.omitBy({ timeout, proxy, httpAgent, httpsAgent }, _.isUndefined);
+		this.requestDefaults.headers = { 'User-Agent' : userAgent };
+
+		this.strictCustomFields = strictCustomFields;
+		this.middleware         = middleware.slice();
+		this.referenceCache     = _.isFunction(referenceCache.get) ? referenceCache : new ReferenceCache(referenceCache);
+		this.usageIdentities    = new ReferenceCache({ ttl : USAGE_IDENTITY_TTL, store : new ReferenceCache.MemoryStore({ maxEntries : MAX_USAGE_IDENTITIES }) });
+		this.usageBufferOptions = usageBuffer;
+
+		if (rateLimit) {
+			this.rateLimiter = _.isFunction(rateLimit.schedule) ? rateLimit : new RateLimiter(rateLimit);
+		}
+
+		this.tokenStore         = tokenStore;
+		this.onTokenRefreshed   = onTokenRefreshed;
+		this.tokenLifetime      = tokenLifetime;
+		this.tokenRefreshMargin = tokenRefreshMargin;
+
+		if (outbox) {
+			this.outbox = _.isFunction(outbox.add) ? outbox : new Outbox(outbox);
+			if (replayInterval) {
+				this.replayTimer = setInterval(() => this.replayOutbox().catch(error => this.log('http', 'error', `Replaying the outbox failed: ${error.message}`)), replayInterval);
+				this.replayTimer.unref();
+			}
+		}
 	},
 
 	methods : {
 		/**
 		 * Authenticate with ClientSuccess.
+		 * A call made while a login is in progress waits for that login rather than sending another.
 		 */
-		authenticate : async function() {
-			try {
-				const response = await axios({
-					method : 'POST',
-					url    : `${URL}auth`,
-					data   : {
-						username : this.username,
-						password : this.password,
-					},
+		authenticate : function() {
+			if (!this.pendingAuthentication) {
+				this.pendingAuthentication = this.login().finally(() => {
+					this.pendingAuthentication = null;
 				});
-				if (_.get(response, 'data.access_token')) {
-					this.authToken = response.data.access_token;
+			}
+			return this.pendingAuthentication;
+		},
+
+		/**
+		 * Log in with username and password, then hand the new token to the token store and onTokenRefreshed.
+		 * @private
+		 */
+		login : async function() {
+			const response = await this.send({
+				method : 'POST',
+				url    : `${this.baseURL}auth`,
+				data   : {
+					username : this.username,
+					password : this.password,
+				},
+			}, { path : 'auth', namespace : 'auth' });
+
+			const accessToken = _.get(response, 'data.access_token');
+			if (!accessToken) {
+				return;
+			}
+
+			const expiresIn = _.get(response, 'data.expires_in');
+			const token     = { accessToken, expiresAt : Date.now() + (expiresIn ? expiresIn * 1000 : this.tokenLifetime) };
+
+			this.authToken      = token.accessToken;
+			this.tokenExpiresAt = token.expiresAt;
+			this.log('auth', 'debug', 'Logged in', { username : this.username, expiresAt : new Date(token.expiresAt).toISOString() });
+
+			// the new token works whatever happens to it from here, so these failing doesn't fail the login
+			if (this.tokenStore) {
+				try {
+					await this.tokenStore.set(this.username, token);
+				}
+				catch (error) {
+					this.log('auth', 'error', `Storing the access token failed: ${error.message}`, { username : this.username });
 				}
 			}
-			catch (error) {
-				if (error.response.status == 401) {
-					throw new CustomError({ status : 401, message : 'Authentication Error' });
+			if (this.onTokenRefreshed) {
+				try {
+					await this.onTokenRefreshed(token);
+				}
+				catch (error) {
+					this.log('auth', 'error', `onTokenRefreshed failed: ${error.message}`, { username : this.username });
+				}
+			}
+		},
+
+		/**
+		 * Get an access token that isn't about to expire: this instance's own, else the token store's,
+		 * else a new one from authenticate(). A token store that can't be read is logged and skipped.
+		 * @private
+		 * @param  {String} [rejectedToken] - Token ClientSuccess just answered with a 401, never handed out again
+		 * @return Promise<String>
+		 */
+		getAuthToken : async function(rejectedToken) {
+			if (this.isTokenFresh({ accessToken : this.authToken, expiresAt : this.tokenExpiresAt }, rejectedToken)) {
+				return this.authToken;
+			}
+
+			if (this.tokenStore) {
+				let stored;
+				try {
+					stored = await this.tokenStore.get(this.username);
+				}
+				catch (error) {
+					this.log('auth', 'error', `Reading the token store failed: ${error.message}`, { username : this.username });
+				}
+				if (stored && this.isTokenFresh(stored, rejectedToken)) {
+					this.authToken      = stored.accessToken;
+					this.tokenExpiresAt = stored.expiresAt;
+					this.log('auth', 'debug', 'Using access token from the token store', { username : this.username });
+					return this.authToken;
 				}
+			}
+
+			await this.authenticate();
+			return this.authToken;
+		},
 
-				throw new CustomError({ status : 400, message : 'Invalid Request' });
+		/**
+		 * @private
+		 * @param  {Object}  token           - { accessToken, expiresAt }, expiresAt may be unknown
+		 * @param  {String}  [rejectedToken]
+		 * @return {Boolean}                 - Whether token can be used for another request
+		 */
+		isTokenFresh : function({ accessToken, expiresAt }, rejectedToken) {
+			if (!accessToken || accessToken === rejectedToken) {
+				return false;
 			}
+			return !expiresAt || Date.now() < expiresAt - this.tokenRefreshMargin;
 		},
 
 		/**
@@ -58,51 +341,330 @@ JS.class(ClientSuccessClient, {
 		 * @param {String} method         - Type of the API call.
 		 * @param {String} path           - URI path of the ClientSuccess endpoint
 		 * @param {Object} data           - Dataset that will be passed through to the ClientSuccess API endpoint.
-		 * @returns {Object|null}         - response body from the HTTP request
+		 * @param {Object} [options]
+		 * @param {String} [options.idempotencyKey] - Sent as the Idempotency-Key header, the same every time a queued write is replayed
+		 * @param {Boolean} [options.queueable=true] - false to keep a write out of the outbox, e.g. one that has to be followed up
+		 * @returns {Object|null}         - response body from the HTTP request. With an outbox, a write to a client or subscription
+		 *                                  that fails because ClientSuccess is unavailable, and that can't have been applied already
+		 *                                  or is safe to send twice (see addToOutbox), rejects with an error whose queued is true
+		 *                                  and whose outboxId is its idempotency key, and is replayed later. So is a write to the
+		 *                                  same path as a write still waiting in the outbox, which is replayed first
 		 */
-		hitClientSuccessAPI : async function(method, path, data) {
+		hitClientSuccessAPI : async function(method, path, data, { idempotencyKey, queueable = true } = {}) {
 			if (!method) {
-				throw new CustomError({ status : 400, message : 'API Method Required' });
+				throw new ValidationError({ status : 400, message : 'API Method Required' });
 			}
 
-			// Retry for block to re-attempt API call if an expired token is encountered
-			for (let retry = 0; retry < RETRY_LIMIT; retry++) {
-				if (!this.authToken) {
-					await this.authenticate();
+			if (this.outbox && queueable && !idempotencyKey && MUTATING_METHODS.includes(method.toUpperCase()) && OUTBOX_PATHS.test(path)) {
+				const entry = { id : createIdempotencyKey(), type : 'api', method, path, body : data };
+
+				// a queued write replayed after this one would undo it, so it has to go first
+				if (await this.hasQueuedWrites(path)) {
+					await this.replayOutbox();
+					if (await this.hasQueuedWrites(path)) {
+						const error = new ServiceUnavailableError({ status : 503, message : `Earlier writes to ${path} are still waiting in the outbox`, method, path });
+						throw await this.addToOutbox(error, entry);
+					}
 				}
 
+				return this.hitClientSuccessAPI(method, path, data, { idempotencyKey : entry.id }).catch(async error => {
+					throw await this.addToOutbox(error, entry);
+				});
+			}
+
+			const isIdempotent    = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+			let attempts          = 0;
+			let reauthentications = 0;
+			let rejectedToken;
+
+			// Re-attempt the API call on expired tokens and, for idempotent methods, on transient failures.
+			// Re-authentication has its own budget so an expired token doesn't use up the retry attempts.
+			for (;;) {
+				const authToken = await this.getAuthToken(rejectedToken);
+				const attempt   = attempts + reauthentications + 1;
+
 				try {
-					const response = await axios({
+					const response = await this.send({
 						method,
-						url     : URL + path,
-						headers : { Authorization : this.authToken },
+						url     : this.baseURL + path,
+						headers : _.omitBy({ 'Authorization' : authToken, 'Idempotency-Key' : idempotencyKey }, _.isUndefined),
 						data,
-					});
+					}, { path, attempt });
 
 					return response.data;
 				}
 				catch (error) {
-					if (error.response.status === 401) {
-						this.authToken = null;
+					if (!(error instanceof CustomError)) {
+						throw error; // thrown by middleware rather than by the request
 					}
-					else if (error.response.status === 503) {
-						throw new CustomError({ status : 503, message : 'Service Temporarily Unavailable', userMessage : error.response.data.userMessage });
+
+					if (error instanceof NetworkError) {
+						// network level failure (DNS, connection reset, timeout), nothing came back from ClientSuccess
+						if (isIdempotent && ++attempts < this.retryPolicy.maxAttempts) {
+							const retryDelay = this.getRetryDelay(attempts);
+							this.log('http', 'info', `Retrying ${method} ${path} in ${retryDelay}ms`, { method, path, attempt : attempts + 1, maxAttempts : this.retryPolicy.maxAttempts, code : error.cause.code });
+							await this.runHooks('onRetry', { method, path, body : data, attempt, error, reason : 'retry', delay : retryDelay });
+							await delay(retryDelay);
+							continue;
+						}
+						throw error;
 					}
-					else if (error.response.status === 417) {
-						throw new CustomError({ status : 417, message : 'Expectation Failed', userMessage : error.response.data.userMessage });
+
+					if (error.status === 401 && reauthentications < this.retryPolicy.maxReauthentications) {
+						reauthentications++;
+						rejectedToken = authToken;
+						this.log('auth', 'info', `Access token refused for ${method} ${path}, re-authenticating`, { method, path, reauthentication : reauthentications });
+						await this.runHooks('onRetry', { method, path, body : data, attempt, error, status : error.status, reason : 'reauthenticate', delay : 0 });
+						continue;
 					}
-					else if (error.response.status === 404) {
-						throw new CustomError({ status : 404, message : 'Not Found', userMessage : error.response.data.userMessage });
+
+					if (isIdempotent && RETRYABLE_STATUSES.includes(error.status) && ++attempts < this.retryPolicy.maxAttempts) {
+						const retryDelay = this.getRetryDelay(attempts, error.cause.response);
+						this.log('http', 'info', `Retrying ${method} ${path} in ${retryDelay}ms`, { method, path, attempt : attempts + 1, maxAttempts : this.retryPolicy.maxAttempts, status : error.status });
+						await this.runHooks('onRetry', { method, path, body : data, attempt, error, status : error.status, reason : 'retry', delay : retryDelay });
+						await delay(retryDelay);
+						continue;
 					}
-					else if (error.response.status === 400) {
-						throw new CustomError({ status : 400, message : 'Bad Request', userMessage : error.response.data.userMessage });
+
+					throw error;
+				}
+			}
+		},
+
+		/**
+		 * Keep a request that failed because ClientSuccess is unavailable in the outbox, to be replayed later.
+		 * A POST is only kept when ClientSuccess turned it away: after a network error, a timeout, a 502 or a 504 it may have been
+		 * applied, and replaying it would apply it twice. PUTs and DELETEs are kept either way, as sending them twice does no harm.
+		 * @private
+		 * @param  {CustomError} error - Why the request failed
+		 * @param  {Object}      entry - { id, type ('api' or 'usage'), method, path, body }
+		 * @return Promise<CustomError>  - error, marked queued when entry was kept
+		 */
+		addToOutbox : async function(error, entry) {
+			if (isUnavailable(error) && (IDEMPOTENT_METHODS.includes(entry.method.toUpperCase()) || wasRefused(error))) {
+				await this.outbox.add(Object.assign(entry, { createdAt : new Date().toISOString() }));
+				this.log('http', 'warn', `ClientSuccess is unavailable, ${entry.method} ${entry.path} will be replayed from the outbox`, { method : entry.method, path : entry.path, status : error.status, outboxId : entry.id });
+				Object.assign(error, { queued : true, outboxId : entry.id });
+			}
+			return error;
+		},
+
+		/**
+		 * @private
+		 * @param  {String} path
+		 * @return Promise<Boolean> - Whether writes to path are waiting in the outbox
+		 */
+		hasQueuedWrites : async function(path) {
+			return _.some(await this.outbox.pending(), { type : 'api', path });
+		},
+
+		/**
+		 * Read a record once no writes to it are waiting in the outbox, replaying them first: a record read before they are
+		 * replayed doesn't have them yet, so writing it back would undo them. In dry-run mode nothing is replayed.
+		 * @private
+		 * @param  {String} path
+		 * @return Promise<Object> - The record. Rejects with a ServiceUnavailableError, and queues nothing, while the writes can't be replayed
+		 */
+		readAfterQueuedWrites : async function(path) {
+			if (this.outbox && !this.dryRun && await this.hasQueuedWrites(path)) {
+				await this.replayOutbox();
+				if (await this.hasQueuedWrites(path)) {
+					throw new ServiceUnavailableError({ status : 503, message : `Earlier writes to ${path} are still waiting in the outbox`, method : 'GET', path });
+				}
+			}
+			return this.hitClientSuccessAPI('GET', path);
+		},
+
+		/**
+		 * Send what is waiting in the outbox, oldest first. Stops at the first request ClientSuccess is still unavailable for,
+		 * leaving it and everything after it for the next replay. Requests ClientSuccess refuses for any other reason are
+		 * logged and dropped, as sending them again won't help. Runs every replayInterval on its own.
+		 * Called while a replay is running, e.g. the timer's, it resolves with that replay rather than starting another.
+		 * @return Promise<Number> - Number of requests replayed
+		 */
+		replayOutbox : function() {
+			if (!this.outbox) {
+				return Promise.resolve(0);
+			}
+
+			if (!this.replaying) {
+				this.replaying = this.replayPending().finally(() => {
+					this.replaying = null;
+				});
+			}
+			return this.replaying;
+		},
+
+		/**
+		 * @private
+		 */
+		replayPending : async function() {
+			let replayed = 0;
+			for (const entry of await this.outbox.pending()) {
+				try {
+					if (entry.type === 'usage') {
+						await this.sendUsage(entry.path, entry.body);
 					}
 					else {
-						throw new CustomError({ status : error.response.status, message : error.response.message, userMessage : error.response.data.userMessage });
+						await this.hitClientSuccessAPI(entry.method, entry.path, entry.body, { idempotencyKey : entry.id });
 					}
+					replayed++;
+				}
+				catch (error) {
+					if (isUnavailable(error)) {
+						this.log('http', 'info', `ClientSuccess is still unavailable, ${replayed} of the outbox replayed`, { status : error.status, outboxId : entry.id });
+						return replayed;
+					}
+					this.log('http', 'error', `Dropping ${entry.method} ${entry.path} from the outbox: ${error.message}`, { method : entry.method, path : entry.path, status : error.status, outboxId : entry.id });
+				}
+				await this.outbox.remove(entry.id);
+			}
+			return replayed;
+		},
+
+		/**
+		 * Add middleware that observes or alters every request this instance sends, including logins and usage events.
+		 * Middleware run in the order they were added. Each may define any of these hooks, which are awaited and
+		 * are passed a context with method, path (without the base URL or api_key), body, attempt and the axios request config:
+		 * - beforeRequest(context) : change context.request before it is sent, or return a response ({ status, data, headers })
+		 *                            to skip sending it, e.g. from a cache. Later beforeRequest hooks are then skipped.
+		 * - afterResponse(context) : context also has response, status and duration (milliseconds). Return a value to replace the response.
+		 * - onError(context)       : context also has error (a CustomError), status and duration
+		 * - onRetry(context)       : before a failed request is sent again. context also has error, status,
+		 *                            reason ('retry' or 'reauthenticate') and delay (milliseconds)
+		 * @param  {Object} middleware
+		 * @return {ClientSuccessClient} - this, for chaining
+		 */
+		use : function(middleware) {
+			this.middleware.push(middleware);
+			return this;
+		},
+
+		/**
+		 * Call one hook of every middleware in turn.
+		 * @private
+		 * @param  {String}   hook       - beforeRequest, afterResponse, onError or onRetry
+		 * @param  {Object}   context
+		 * @param  {Function} [onResult] - Called with each hook's return value other than undefined. Return true to stop the chain.
+		 */
+		runHooks : async function(hook, context, onResult = _.noop) {
+			for (const middleware of this.middleware) {
+				if (middleware[hook]) {
+					const result = await middleware[hook](context);
+					if (result !== undefined && onResult(result)) {
+						return;
+					}
+				}
+			}
+		},
+
+		/**
+		 * Send one HTTP request through the middleware and the transport, once the rate limiter (if any) allows it.
+		 * The timeout, proxy, agents and User-Agent this instance was configured with are added to config.
+		 * @private
+		 * @param  {Object} config              - axios request config
+		 * @param  {Object} details
+		 * @param  {String} details.path        - Path to report to middleware and errors, without the base URL or any secrets
+		 * @param  {Number} [details.attempt=1] - Number of times this request has been sent, including this time
+		 * @param  {String} [details.namespace='http'] - Where the request is logged: http, auth or usage
+		 * @return Promise<Object>              - axios-style response. Rejects with a CustomError when the request fails
+		 */
+		send : async function(config, { path, attempt = 1, namespace = 'http' }) {
+			const request = Object.assign({}, this.requestDefaults, config, {
+				headers : Object.assign({}, this.requestDefaults.headers, config.headers),
+			});
+			const context = { method : request.method, path, body : request.data, attempt, request };
+
+			await this.runHooks('beforeRequest', context, response => {
+				context.response = response;
+				return true;
+			});
+
+			const { method, url, headers, data } = context.request;
+			if (context.response) {
+				this.log(namespace, 'debug', `${method} ${path} answered by middleware`, { method, path, attempt });
+			}
+			else {
+				this.log(namespace, 'debug', `${method} ${path}`, { method, path, attempt, url, headers, body : data });
+
+				const started = Date.now();
+				try {
+					context.response = this.rateLimiter
+						? await this.rateLimiter.schedule(() => this.transport(context.request))
+						: await this.transport(context.request);
+					context.duration = Date.now() - started;
+				}
+				catch (error) {
+					context.error    = toCustomError(error, context.method, path);
+					context.status   = context.error.status;
+					context.duration = Date.now() - started;
+					this.log(namespace, 'warn', `${method} ${path} failed: ${context.error.message}`, {
+						method,
+						path,
+						attempt,
+						status    : context.status,
+						duration  : context.duration,
+						code      : error.code,
+						requestId : context.error.requestId,
+						body      : context.error.body,
+					});
+					await this.runHooks('onError', context);
+					throw context.error;
+				}
+
+				this.log(namespace, 'debug', `${method} ${path} ${context.response.status}`, { method, path, attempt, status : context.response.status, duration : context.duration });
+			}
+
+			context.status = context.response.status;
+			await this.runHooks('afterResponse', context, response => {
+				context.response = response;
+			});
+			return context.response;
+		},
+
+		/**
+		 * Write a message to a clientsuccess:* debug namespace and to the logger, with any credentials in fields redacted.
+		 * @private
+		 * @param {String} namespace - http, auth or usage
+		 * @param {String} level     - debug, info, warn or error
+		 * @param {String} message
+		 * @param {Object} [fields]  - Structured details
+		 */
+		log : function(namespace, level, message, fields = {}) {
+			const redacted = redact(fields);
+			DEBUG_NAMESPACES[namespace]('%s %O', message, redacted);
+
+			const entry = Object.assign({ namespace : `clientsuccess:${namespace}` }, redacted);
+			if (this.logFieldsFirst) {
+				this.logger[level](entry, message);
+			}
+			else {
+				this.logger[level](message, entry);
+			}
+		},
+
+		/**
+		 * Work out how long to wait before the next retry attempt.
+		 * Honors the Retry-After header (seconds or HTTP date) when ClientSuccess sends one,
+		 * otherwise uses exponential backoff with full jitter. Always capped at retryPolicy.maxDelay.
+		 * @private
+		 * @param  {Number} attempt    - Number of attempts made so far (1 for the first retry)
+		 * @param  {Object} [response] - Response of the failed attempt
+		 * @return {Number}            - Delay in milliseconds
+		 */
+		getRetryDelay : function(attempt, response) {
+			const { baseDelay, maxDelay } = this.retryPolicy;
+			const retryAfter              = _.get(response, [ 'headers', 'retry-after' ]);
+
+			if (retryAfter !== undefined && retryAfter !== null) {
+				const seconds = Number(retryAfter);
+				const waitFor = isNaN(seconds) ? new Moment(new Date(retryAfter)).diff(new Moment()) : seconds * 1000;
+				if (!isNaN(waitFor)) {
+					return Math.min(Math.max(waitFor, 0), maxDelay);
 				}
 			}
-			throw new CustomError({ status : 429, message : 'Too Many Requests' });
+
+			return Math.floor(Math.random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1)));
 		},
 
 		/**
@@ -123,19 +685,39 @@ JS.class(ClientSuccessClient, {
 		 */
 		getClientByExternalId : function(externalId) {
 			if (!externalId || !_.isString(externalId)) {
-				throw new CustomError({ status : 400, message : 'Invalid externalId for getClientByExternalId.' });
+				throw new ValidationError({ status : 400, message : 'Invalid externalId for getClientByExternalId.' });
 			}
 
 			return this.hitClientSuccessAPI('GET', `clients/?externalId=${externalId}`);
 		},
 
+		/**
+		 * List ClientSuccess Clients, fetching pages from the API as they are consumed.
+		 * Use `for await (const client of CS.listClients(filters))` to stream, or `await CS.listClients(filters).all()` to collect.
+		 * @param  {Object} [filters]
+		 * @param  {Number} [filters.status]          - Only Clients with this statusId
+		 * @param  {Number} [filters.segmentId]       - Only Clients in this client segment
+		 * @param  {Number} [filters.assignedUserId]  - Only Clients assigned to this ClientSuccess user
+		 * @param  {Object} [options]
+		 * @param  {Number} [options.pageSize=100]    - Number of Clients requested per page
+		 * @return {Object}                           - Async iterable of Client objects, with an all() method returning Promise<Object[]>
+		 */
+		listClients : function({ status, segmentId, assignedUserId, ...otherFilters } = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+			const filters = Object.assign({}, otherFilters, { statusId : status, clientSegmentId : segmentId, assignedUserId });
+
+			return this.paginate('clients', filters, pageSize);
+		},
+
 		/**
 		 * Create a ClientSuccess client.
+		 * The segment and status may be given by name as `segment` and `status` instead of clientSegmentId and statusId.
 		 * @param {Object} attributes       - Attributes of the Client
 		 * @param {Object} customAttributes - Custom attributes of the Client
 		 * @returns {Object}                - Resulting Client object
 		 */
 		createClient : async function(attributes, customAttributes) {
+			attributes = await this.resolveNames(attributes);
+
 			// Check to make sure that there isn't already a client based on externalId
 			if (attributes.externalId) {
 				try {
@@ -144,13 +726,20 @@ JS.class(ClientSuccessClient, {
 				}
 				catch (error) {
 					if (error.status !== 404) {
-						throw new CustomError({ status : error.status, message : error.message });
+						throw error;
 					}
 					// Else, user was not found, therefore continue to creation
 				}
 			}
 
-			const createdUser = await this.hitClientSuccessAPI('POST', 'clients', attributes);
+			customAttributes = await this.validateCustomAttributes('client', customAttributes);
+
+			if (this.dryRun) {
+				return this.planCreate('clients', attributes, customAttributes);
+			}
+
+			// a create that was queued would be replayed without its custom attributes, so it fails instead
+			const createdUser = await this.hitClientSuccessAPI('POST', 'clients', attributes, { queueable : !customAttributes });
 
 			if (!customAttributes) {
 				return createdUser;
@@ -163,45 +752,110 @@ JS.class(ClientSuccessClient, {
 
 		/**
 		 * Update a ClientSuccess client object.
+		 * The segment and status may be given by name as `segment` and `status` instead of clientSegmentId and statusId.
 		 * @param {String} clientId         - ClientSuccess clientId
 		 * @param {Object} attributes       - Attributes and values that are to be updated
 		 * @param {Object} customAttributes - Custom attributes that need to be set for the ClientSuccess Client Object
-		 * @returns Promise<Object>         - Promise with the object of the resulting updated Client
+		 * @returns Promise<Object>         - Promise with the object of the resulting updated Client. It carries non-enumerable
+		 *                                    `changed` and `changes` properties; nothing is sent when `changed` is false.
 		 */
 		updateClient : async function(clientId, attributes, customAttributes) {
-			// ClientSuccess requires that all 'required' fields to be passed through to the update API
 			this.validateClientSuccessId(clientId);
+			attributes = await this.resolveNames(attributes);
 			// First, get the current client state data, and only modify what is needing updating
-			const clientToUpdate = await this.getClient(clientId);
-			Object.assign(clientToUpdate, attributes);
-			this.patchCustomAttributes(clientToUpdate, customAttributes);
-			return this.hitClientSuccessAPI('PUT', `/clients/${clientId}`, clientToUpdate);
+			const currentClient = await this.getClient(clientId);
+			return this.writeUpdate('client', `clients/${clientId}`, currentClient, attributes, customAttributes);
 		},
 
 		/**
 		 * Creates or updates a client with the given attributes.
 		 * @param  {String} [clientId=undefined]
 		 * @param  {Object} attributes
-		 * @return {Object} resulting upserted Client
+		 * @return {Object} resulting upserted Client, or the plan in dry-run mode
 		 */
 		upsertClient : async function({ clientId = undefined, attributes = {}, customAttributes = {} } = {}) {
 			if (!clientId) {
 				// no client ID, create the Client
 				const createdClient = await this.createClient(attributes, customAttributes);
+				if (this.dryRun) {
+					return createdClient;
+				}
 				return this.getClient(createdClient.id); // return fresh model that includes custom attributes
 			}
 			const updatedClient = await this.updateClient(clientId, attributes, customAttributes);
-			return this.getClient(updatedClient.id);
+			if (this.dryRun || !updatedClient.changed) {
+				return updatedClient;
+			}
+			return withChanges(await this.getClient(updatedClient.id), updatedClient.changes);
+		},
+
+		/**
+		 * Upsert many Clients with a bounded number of requests in flight.
+		 * Records for the same clientId or externalId are upserted one after the other so they can't race each other into duplicates.
+		 * A failing record does not stop the others; every record gets an entry in the results.
+		 * @param  {Object[]} records                 - Arguments for upsertClient: { clientId, attributes, customAttributes }
+		 * @param  {Object}   [options]
+		 * @param  {Number}   [options.concurrency=5] - Maximum number of records being upserted at once
+		 * @param  {Function} [options.onProgress]    - Called after each record with { completed, total, succeeded, failed }
+		 * @return Promise<Object[]>                  - One { index, success, result, error } per record, in input order
+		 */
+		bulkUpsertClients : function(records, { concurrency = DEFAULT_BULK_CONCURRENCY, onProgress } = {}) {
+			const groupKey = (record, index) => {
+				const { clientId, attributes = {} } = record || {};
+				if (clientId) {
+					return `id:${clientId}`;
+				}
+				return attributes.externalId ? `externalId:${attributes.externalId}` : `index:${index}`;
+			};
+
+			return runBulk(records, groupKey, record => this.upsertClient(record), { concurrency, onProgress, log : this.log.bind(this) });
 		},
 
 		/**
-		 * Close the ClientSuccess Client object by setting the statusId to "4", which equals "Terminated"
+		 * Close the ClientSuccess Client object by setting its status to Terminated
 		 * Closing a client hides it from the front-end UI
 		 * @param  {String} clientId - Client ID of the Client that will be closed
 		 * @return {Object}          - The object of the resulting closed Client
 		 */
 		closeClient : function(clientId) {
-			return this.updateClient(clientId, { statusId : 4 });
+			return this.updateClient(clientId, { statusId : ClientStatus.Terminated });
+		},
+
+		/**
+		 * Reopen a closed ClientSuccess Client, e.g. after a win-back
+		 * @param  {String} clientId                          - Client ID of the Client that will be reopened
+		 * @param  {Object} [options]
+		 * @param  {String|Number} [options.status='Active'] - Status to reopen the Client with, by title or ID
+		 * @return Promise<Object>                            - The object of the resulting reopened Client
+		 */
+		reopenClient : function(clientId, { status = ClientStatus.Active } = {}) {
+			return this.setClientStatus(clientId, status);
+		},
+
+		/**
+		 * Move a ClientSuccess Client to another status
+		 * @param  {String}        clientId - Client ID of the Client to update
+		 * @param  {String|Number} status   - Title of the status, e.g. 'Onboarding', or its ID (see ClientStatus)
+		 * @return Promise<Object>          - The object of the resulting updated Client. Rejects with a NotFoundError for an unknown status
+		 */
+		setClientStatus : async function(clientId, status) {
+			if (status === undefined || status === null || status === '') {
+				throw new ValidationError({ status : 400, message : 'Status Required for setClientStatus' });
+			}
+
+			return this.updateClient(clientId, { status });
+		},
+
+		/**
+		 * Get the current status of a ClientSuccess Client with its title
+		 * @param  {String} clientId - ClientSuccess Client ID
+		 * @return Promise<Object>   - { id, title }, title is null if ClientSuccess doesn't list the status
+		 */
+		getClientStatus : async function(clientId) {
+			const [ client, clientStatuses ] = await Promise.all([ this.getClient(clientId), this.getClientStatuses() ]);
+			const clientStatus               = _.find(clientStatuses, { id : client.statusId });
+
+			return { id : client.statusId, title : clientStatus ? clientStatus.title : null };
 		},
 
 		/**
@@ -211,7 +865,11 @@ JS.class(ClientSuccessClient, {
 		 */
 		deleteClient : function(clientId) {
 			if (!clientId) {
-				throw new CustomError({ status : 400, message : 'Client ID Required for Deletion' });
+				throw new ValidationError({ status : 400, message : 'Client ID Required for Deletion' });
+			}
+
+			if (this.dryRun) {
+				return this.getClient(clientId).then(client => this.planDelete(`clients/${clientId}`, client));
 			}
 
 			return this.hitClientSuccessAPI('DELETE', `clients/${clientId}`);
@@ -235,10 +893,10 @@ JS.class(ClientSuccessClient, {
 				if (error.status === 417) {
 					// Contact was not found, return a 404 instead of a 417
 					// This is an issue with the ClientSuccess API as of 2018-08-10, that will be addressed in V2 of their API
-					throw new CustomError({ status : 404, message : 'Contact not found', userMessage : error.userMessage });
+					throw new NotFoundError(Object.assign(_.pick(error, [ 'userMessage', 'method', 'path', 'requestId', 'body' ]), { status : 404, message : 'Contact not found', cause : error }));
 				}
 				else {
-					throw new CustomError({ status : error.status, message : error.message, userMessage : error.userMessage });
+					throw error;
 				}
 			}
 
@@ -254,7 +912,7 @@ JS.class(ClientSuccessClient, {
 		 */
 		getContactByEmail : async function(clientExternalId, contactEmail) {
 			if (!clientExternalId || !contactEmail) {
-				throw new CustomError({ status : 400, message : 'Invalid clientExternalId or contactEmail for getContactByEmail' });
+				throw new ValidationError({ status : 400, message : 'Invalid clientExternalId or contactEmail for getContactByEmail' });
 			}
 
 			const foundContact = await this.hitClientSuccessAPI(
@@ -263,12 +921,25 @@ JS.class(ClientSuccessClient, {
 			);
 
 			if (!foundContact) {
-				throw new CustomError({ status : 404, message : 'Contact not found' });
+				throw new NotFoundError({ status : 404, message : 'Contact not found' });
 			}
 
 			return foundContact;
 		},
 
+		/**
+		 * List the Contacts of a ClientSuccess Client, fetching pages from the API as they are consumed.
+		 * @param  {String} clientId               - ClientSuccess Client ID
+		 * @param  {Object} [options]
+		 * @param  {Number} [options.pageSize=100] - Number of Contacts requested per page
+		 * @return {Object}                        - Async iterable of Contact objects, with an all() method returning Promise<Object[]>
+		 */
+		listContacts : function(clientId, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+			this.validateClientSuccessId(clientId);
+
+			return this.paginate(`clients/${clientId}/contacts`, {}, pageSize);
+		},
+
 		/**
 		 * Create a ClientSuccess Contact.
 		 * @param {String} clientId         - ClientSuccess Client ID that is to be created under the contact
@@ -278,7 +949,16 @@ JS.class(ClientSuccessClient, {
 		 */
 		createContact : async function(clientId, attributes, customAttributes) {
 			this.validateClientSuccessId(clientId);
-			const createdContact = await this.hitClientSuccessAPI('POST', `clients/${clientId}/contacts`, attributes);
+			customAttributes = await this.validateCustomAttributes('contact', customAttributes);
+
+			if (this.dryRun) {
+				// make sure the Client exists, as the real POST would
+				await this.getClient(clientId);
+				return this.planCreate(`clients/${clientId}/contacts`, attributes, customAttributes);
+			}
+
+			// a create that was queued would be replayed without its custom attributes, so it fails instead
+			const createdContact = await this.hitClientSuccessAPI('POST', `clients/${clientId}/contacts`, attributes, { queueable : !customAttributes });
 
 			if (!customAttributes) {
 				return createdContact;
@@ -294,16 +974,15 @@ JS.class(ClientSuccessClient, {
 		 * @param {String} contactId        - ClientSuccess Contact ID of the user that is to be updated.
 		 * @param {Object} attributes       - Attributes that are to be updated in the ClientSuccess Contact object.
 		 * @param {Object} customAttributes - Custom attributes that are to be updated in the Contact object
-		 * @returns Promise<Object>         - Promise with the contact data model of the newly updated contact.
+		 * @returns Promise<Object>         - Promise with the contact data model of the newly updated contact. It carries non-enumerable
+		 *                                    `changed` and `changes` properties; nothing is sent when `changed` is false.
 		 */
 		updateContact : async function(clientId, contactId, attributes, customAttributes) {
 			this.validateClientSuccessId(clientId);
 			this.validateClientSuccessId(contactId);
 
-			const contactToUpdate = await this.getContact(clientId, contactId);
-			Object.assign(contactToUpdate, attributes);
-			this.patchCustomAttributes(contactToUpdate, customAttributes);
-			return this.hitClientSuccessAPI('PUT', `clients/${clientId}/contacts/${contactId}/details`, contactToUpdate);
+			const currentContact = await this.getContact(clientId, contactId);
+			return this.writeUpdate('contact', `clients/${clientId}/contacts/${contactId}/details`, currentContact, attributes, customAttributes);
 		},
 
 		/**
@@ -312,126 +991,761 @@ JS.class(ClientSuccessClient, {
 		 * @param  {String} [contactId]      If provided, it will trigger an update, else it will create a new Contact
 		 * @param  {Object} attributes       ClientSuccess native Contact attributes to fill
 		 * @param  {Object} customAttributes ClientSuccess Contact custom attributes to fill
+		 * @param  {String} [clientExternalId] External ID of the Client, saves looking the Client up when the Contact is matched by email
 		 * @return {Object}                  Resulting Contact data object
 		 */
-		upsertContact : async function({ clientId = undefined, contactId = undefined, attributes = {}, customAttributes = {} } = {}) {
+		upsertContact : async function({ clientId = undefined, contactId = undefined, attributes = {}, customAttributes = {}, clientExternalId = undefined } = {}) {
 			this.validateClientSuccessId(clientId);
 
 			if (!contactId) {
 				let contact;
-				const client = await this.getClient(clientId);
+				if (!clientExternalId) {
+					clientExternalId = (await this.getClient(clientId)).externalId;
+				}
 				try {
-					contact = await this.getContactByEmail(client.externalId, attributes.email);
+					contact = await this.getContactByEmail(clientExternalId, attributes.email);
 				}
 				catch (error) {
 					// contact not found, therefore create it
 					if (error.status === 404) {
-						contact = await this.createContact(clientId, attributes, customAttributes);
-					}
-					else {
-						throw new CustomError({ status : error.status, message : error.message });
+						return this.createContact(clientId, attributes, customAttributes);
 					}
+					throw error;
 				}
 
-				contactId = contact.id;
-				let updateContactAttributes = Object.assign({}, contact); // clone the client object for comparison purposes
-				if (!_.get(updateContactAttributes, 'customFieldValues[0]')) {
-					// The ClientSuccess create contact API does not return back clean custom attributes, only null values
-					updateContactAttributes = await this.getContact(clientId, contactId);
-				}
-				this.patchCustomAttributes(updateContactAttributes, customAttributes);
-				// check to see if a customAttribute update is required
-				if (_.isEqual(Object.assign(updateContactAttributes, attributes), contact)) {
-					return contact;
+				if (!_.get(contact, 'customFieldValues[0]')) {
+					// The ClientSuccess contact search does not return back clean custom attributes, only null values
+					contact = await this.getContact(clientId, contact.id);
 				}
+				// the found contact is the current state, so only write if the attributes change it
+				return this.writeUpdate('contact', `clients/${clientId}/contacts/${contact.id}/details`, contact, attributes, customAttributes);
 			}
 
 			return this.updateContact(clientId, contactId, attributes, customAttributes);
 		},
 
+		/**
+		 * Upsert many Contacts with a bounded number of requests in flight.
+		 * Each Client's externalId is looked up once for the whole batch, and records for the same contact
+		 * (same contactId, or same clientId and email) are upserted one after the other.
+		 * A failing record does not stop the others; every record gets an entry in the results.
+		 * @param  {Object[]} records                 - Arguments for upsertContact: { clientId, contactId, attributes, customAttributes }
+		 * @param  {Object}   [options]
+		 * @param  {Number}   [options.concurrency=5] - Maximum number of records being upserted at once
+		 * @param  {Function} [options.onProgress]    - Called after each record with { completed, total, succeeded, failed }
+		 * @return Promise<Object[]>                  - One { index, success, result, error } per record, in input order
+		 */
+		bulkUpsertContacts : function(records, { concurrency = DEFAULT_BULK_CONCURRENCY, onProgress } = {}) {
+			const externalIds = new Map();	// clientId => Promise<externalId>, shared by every record of that Client
+
+			const groupKey = (record, index) => {
+				const { clientId, contactId, attributes = {} } = record || {};
+				if (contactId) {
+					return `id:${contactId}`;
+				}
+				return attributes.email ? `email:${clientId}:${attributes.email.toLowerCase()}` : `index:${index}`;
+			};
+
+			const upsert = async record => {
+				if (record.contactId || record.clientExternalId) {
+					return this.upsertContact(record);
+				}
+
+				this.validateClientSuccessId(record.clientId);
+				const key = `${record.clientId}`;
+				if (!externalIds.has(key)) {
+					externalIds.set(key, this.getClient(record.clientId).then(client => client.externalId));
+				}
+				return this.upsertContact(Object.assign({}, record, { clientExternalId : await externalIds.get(key) }));
+			};
+
+			return runBulk(records, groupKey, upsert, { concurrency, onProgress, log : this.log.bind(this) });
+		},
+
 		/**
 		 * Deletes a contact from ClientSuccess with the given IDs
 		 * @param  {String} clientId  - Client ID of the client the contact is part of
 		 * @param  {String} contactId - Contact ID of the contact to be deleted
 		 * @return Promise<Object>    - Promise with the response from the ClientSuccess API
 		 */
-		deleteContact : async function(clientId, contactId) {
+		deleteContact : function(clientId, contactId) {
 			if (!clientId || !contactId) {
-				throw new CustomError({ status : 400, message : 'Client ID and Contact ID Required for Deletion' });
+				throw new ValidationError({ status : 400, message : 'Client ID and Contact ID Required for Deletion' });
 			}
 
-			if (!(await this.doesContactBelongToClient(clientId, contactId))) {
-				throw new CustomError({ status : 404, message : 'Client not found for contact with that id' });
-			}
+			return this.doesContactBelongToClient(clientId, contactId).then(belongsToClient => {
+				if (!belongsToClient) {
+					throw new NotFoundError({ status : 404, message : 'Client not found for contact with that id' });
+				}
+
+				if (this.dryRun) {
+					return this.getContact(clientId, contactId).then(contact => this.planDelete(`clients/${clientId}/contacts/${contactId}`, contact));
+				}
 
-			return this.hitClientSuccessAPI('DELETE', `clients/${clientId}/contacts/${contactId}`);
+				return this.hitClientSuccessAPI('DELETE', `clients/${clientId}/contacts/${contactId}`);
+			});
 		},
 
 		/**
-		 * Finds the Client Type ID associated with the ClientSuccess Client Type Title
-		 * @param  {String} clientTypeString - Title of the Client Type
-		 * @return {Number}                  - ID of the Client Type
+		 * Log an Interaction (call, email, meeting or note) on a Client's timeline.
+		 * @param {String} clientId                  - ClientSuccess Client ID
+		 * @param {Object} attributes
+		 * @param {String} attributes.type           - One of InteractionType
+		 * @param {String} [attributes.subject]
+		 * @param {String} [attributes.note]         - Body of the Interaction
+		 * @param {Date|Moment|String} [attributes.occurredDate=now] - When the Interaction happened
+		 * @param {Number[]} [attributes.contactIds] - Contacts of the Client who took part
+		 * @returns Promise<Object>                  - ClientSuccess Interaction object that has been created
 		 */
-		getClientTypeId : async function(clientTypeString) {
-			if (!clientTypeString) {
-				throw new CustomError({ status : 400, message : 'No clientTypeString provided in getClientTypeId' });
-			}
+		createInteraction : async function(clientId, attributes = {}) {
+			this.validateClientSuccessId(clientId);
+			const interaction = this.validateInteraction(Object.assign({ occurredDate : new Moment() }, attributes), { requireType : true });
 
-			if (!this.clientTypes) {
-				this.clientTypes = await this.hitClientSuccessAPI('GET', 'client-segments');
+			if (this.dryRun) {
+				// make sure the Client exists, as the real POST would
+				await this.getClient(clientId);
+				return this.planCreate(`clients/${clientId}/interactions`, interaction);
 			}
 
-			const clientType = _.find(this.clientTypes, { title : clientTypeString });
+			return this.hitClientSuccessAPI('POST', `clients/${clientId}/interactions`, interaction);
+		},
 
-			if (clientType) {
-				return clientType.id;
-			}
+		/**
+		 * List the Interactions of a ClientSuccess Client, fetching pages from the API as they are consumed.
+		 * @param  {String} clientId                - ClientSuccess Client ID
+		 * @param  {Object} [filters]
+		 * @param  {String} [filters.type]          - Only Interactions of this InteractionType
+		 * @param  {String} [filters.contactId]     - Only Interactions this Contact took part in
+		 * @param  {Object} [options]
+		 * @param  {Number} [options.pageSize=100]  - Number of Interactions requested per page
+		 * @return {Object}                         - Async iterable of Interaction objects, with an all() method returning Promise<Object[]>
+		 */
+		listInteractions : function(clientId, { type, contactId } = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+			this.validateClientSuccessId(clientId);
 
-			throw new CustomError({ status : 404, message : `Requested client type ${clientTypeString} was not found` });
+			return this.paginate(`clients/${clientId}/interactions`, { type, contactId }, pageSize);
 		},
 
 		/**
-		 * Helper function for patching a ClientSuccess object's custom attributes.
-		 * Uses the ClientSuccess 'Label' field for matching up the passed in custom attributes to the ClientSuccess Client/Contact object
-		 * @private
-		 * @param  {Object} object           - Object that is to be patched
-		 * @param  {Object} customAttributes - Object of custom attributes and their desired values (keyed on custom attribute label)
+		 * Get one Interaction of a ClientSuccess Client.
+		 * @param  {String} clientId      - ClientSuccess Client ID
+		 * @param  {String} interactionId - ClientSuccess Interaction ID
+		 * @return Promise<Object>        - ClientSuccess Interaction object
 		 */
-		patchCustomAttributes : function(object, customAttributes) {
-			if (customAttributes) {
-				_.forEach(customAttributes, function(customAttribute, customAttributeKey) {
-					_.forEach(object.customFieldValues, function(customFieldObject) {
-						if (customAttributeKey === customFieldObject.label) {
-							customFieldObject.value = customAttribute;
-						}
-					});
-				});
-			}
+		getInteraction : function(clientId, interactionId) {
+			this.validateClientSuccessId(clientId);
+			this.validateClientSuccessId(interactionId);
+
+			return this.hitClientSuccessAPI('GET', `clients/${clientId}/interactions/${interactionId}`);
 		},
 
 		/**
-		 * Quickly validate if a value is valid to be sent to ClientSuccess
-		 * @private
-		 * @param  {String} clientSuccessId ClientSuccess ID that is to be validated
+		 * Update an Interaction of a ClientSuccess Client.
+		 * @param {String} clientId      - ClientSuccess Client ID
+		 * @param {String} interactionId - ClientSuccess Interaction ID
+		 * @param {Object} attributes    - type, subject, note, occurredDate or contactIds, as for createInteraction
+		 * @returns Promise<Object>      - The updated Interaction. It carries non-enumerable `changed` and `changes` properties;
+		 *                                 nothing is sent when `changed` is false.
 		 */
-		validateClientSuccessId : function(clientSuccessId) {
-			if (!clientSuccessId || isNaN(parseInt(clientSuccessId))) {
-				throw new CustomError({ status : 400, message : 'Invalid ClientSuccess ID' });
-			}
+		updateInteraction : async function(clientId, interactionId, attributes = {}) {
+			const interaction        = this.validateInteraction(attributes, { requireType : false });
+			const currentInteraction = await this.getInteraction(clientId, interactionId);
+
+			return this.writeUpdate('interaction', `clients/${clientId}/interactions/${interactionId}`, currentInteraction, interaction);
 		},
 
 		/**
-		 * Check if the id of the contact passed in belongs to the client id thats passed in.
-		 * This is done through a GET api call since ClientSuccess contains this logic when
-		 * hitting this endpoint. Does not seem to also be the case with the DELETE endpoint
-		 * so this method should be used before sending a DELETE request for a contact.
-		 * @param {String} clientId  - the ID of the client the contact should be a part of
-		 * @param {String} contactId - the ID of the contact to be checked
+		 * Delete an Interaction of a ClientSuccess Client.
+		 * @param  {String} clientId      - ClientSuccess Client ID
+		 * @param  {String} interactionId - ClientSuccess Interaction ID
+		 * @return Promise<Object>        - Promise with the response from the ClientSuccess API
 		 */
-		doesContactBelongToClient : async function(clientId, contactId) {
+		deleteInteraction : function(clientId, interactionId) {
+			if (!clientId || !interactionId) {
+				throw new ValidationError({ status : 400, message : 'Client ID and Interaction ID Required for Deletion' });
+			}
+
+			if (this.dryRun) {
+				return this.getInteraction(clientId, interactionId).then(interaction => this.planDelete(`clients/${clientId}/interactions/${interactionId}`, interaction));
+			}
+
+			return this.hitClientSuccessAPI('DELETE', `clients/${clientId}/interactions/${interactionId}`);
+		},
+
+		/**
+		 * Create a to-do on a Client for a ClientSuccess employee to follow up on.
+		 * @param {String} clientId                    - ClientSuccess Client ID
+		 * @param {Object} attributes
+		 * @param {String} attributes.title
+		 * @param {String} [attributes.description]
+		 * @param {Number} [attributes.assignedUserId] - ID of the ClientSuccess employee the to-do is assigned to
+		 * @param {Date|Moment|String} [attributes.dueDate] - Day the to-do is due
+		 * @param {String} [attributes.priority]       - One of ToDoPriority
+		 * @returns Promise<Object>                    - ClientSuccess to-do object that has been created
+		 */
+		createToDo : async function(clientId, attributes = {}) {
+			this.validateClientSuccessId(clientId);
+			const toDo = this.validateToDo(attributes, { requireTitle : true });
+
+			if (this.dryRun) {
+				// make sure the Client exists, as the real POST would
+				await this.getClient(clientId);
+				return this.planCreate(`clients/${clientId}/to-dos`, toDo);
+			}
+
+			return this.hitClientSuccessAPI('POST', `clients/${clientId}/to-dos`, toDo);
+		},
+
+		/**
+		 * List the to-dos of a ClientSuccess Client, fetching pages from the API as they are consumed.
+		 * @param  {String}  clientId                 - ClientSuccess Client ID
+		 * @param  {Object}  [filters]
+		 * @param  {Number}  [filters.assignedUserId] - Only to-dos assigned to this employee
+		 * @param  {Boolean} [filters.completed]      - Only completed, or only open, to-dos
+		 * @param  {Object}  [options]
+		 * @param  {Number}  [options.pageSize=100]   - Number of to-dos requested per page
+		 * @return {Object}                           - Async iterable of to-do objects, with an all() method returning Promise<Object[]>
+		 */
+		listToDos : function(clientId, { assignedUserId, completed } = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+			this.validateClientSuccessId(clientId);
+
+			return this.paginate(`clients/${clientId}/to-dos`, { assignedUserId, completed }, pageSize);
+		},
+
+		/**
+		 * Get one to-do of a ClientSuccess Client.
+		 * @param  {String} clientId - ClientSuccess Client ID
+		 * @param  {String} toDoId   - ClientSuccess to-do ID
+		 * @return Promise<Object>   - ClientSuccess to-do object
+		 */
+		getToDo : function(clientId, toDoId) {
+			this.validateClientSuccessId(clientId);
+			this.validateClientSuccessId(toDoId);
+
+			return this.hitClientSuccessAPI('GET', `clients/${clientId}/to-dos/${toDoId}`);
+		},
+
+		/**
+		 * Update a to-do of a ClientSuccess Client.
+		 * @param {String} clientId   - ClientSuccess Client ID
+		 * @param {String} toDoId     - ClientSuccess to-do ID
+		 * @param {Object} attributes - title, description, assignedUserId, dueDate or priority, as for createToDo
+		 * @returns Promise<Object>   - The updated to-do. It carries non-enumerable `changed` and `changes` properties;
+		 *                              nothing is sent when `changed` is false.
+		 */
+		updateToDo : async function(clientId, toDoId, attributes = {}) {
+			const toDo        = this.validateToDo(attributes, { requireTitle : false });
+			const currentToDo = await this.getToDo(clientId, toDoId);
+
+			return this.writeUpdate('toDo', `clients/${clientId}/to-dos/${toDoId}`, currentToDo, toDo);
+		},
+
+		/**
+		 * Mark a to-do of a ClientSuccess Client as done. A to-do that is already complete keeps its completedDate.
+		 * @param  {String} clientId - ClientSuccess Client ID
+		 * @param  {String} toDoId   - ClientSuccess to-do ID
+		 * @return Promise<Object>   - The completed to-do, with `changed` and `changes` as for updateToDo
+		 */
+		completeToDo : async function(clientId, toDoId) {
+			const currentToDo = await this.getToDo(clientId, toDoId);
+			const completion  = currentToDo.completed ? {} : { completed : true, completedDate : new Moment().toISOString() };
+
+			return this.writeUpdate('toDo', `clients/${clientId}/to-dos/${toDoId}`, currentToDo, completion);
+		},
+
+		/**
+		 * Delete a to-do of a ClientSuccess Client.
+		 * @param  {String} clientId - ClientSuccess Client ID
+		 * @param  {String} toDoId   - ClientSuccess to-do ID
+		 * @return Promise<Object>   - Promise with the response from the ClientSuccess API
+		 */
+		deleteToDo : function(clientId, toDoId) {
+			if (!clientId || !toDoId) {
+				throw new ValidationError({ status : 400, message : 'Client ID and To-do ID Required for Deletion' });
+			}
+
+			if (this.dryRun) {
+				return this.getToDo(clientId, toDoId).then(toDo => this.planDelete(`clients/${clientId}/to-dos/${toDoId}`, toDo));
+			}
+
+			return this.hitClientSuccessAPI('DELETE', `clients/${clientId}/to-dos/${toDoId}`);
+		},
+
+		/**
+		 * Check to-do attributes and put them in the form ClientSuccess expects, dueDate as YYYY-MM-DD.
+		 * @private
+		 * @param  {Object}  attributes
+		 * @param  {Object}  options
+		 * @param  {Boolean} options.requireTitle - Whether attributes must have a title, as when creating a to-do
+		 * @return {Object}                       - Copy of attributes
+		 */
+		validateToDo : function(attributes, { requireTitle }) {
+			const toDo = Object.assign({}, attributes);
+
+			if ((requireTitle || toDo.title !== undefined) && (!_.isString(toDo.title) || !toDo.title.trim())) {
+				throw new ValidationError({ status : 400, message : 'To-do title Required' });
+			}
+
+			if (!_.isNil(toDo.assignedUserId)) {
+				this.validateClientSuccessId(toDo.assignedUserId);
+			}
+
+			if (!_.isNil(toDo.dueDate)) {
+				const dueDate = new Moment(toDo.dueDate, Moment.ISO_8601);
+				if (!dueDate.isValid()) {
+					throw new ValidationError({ status : 400, message : 'Invalid dueDate for To-do' });
+				}
+				toDo.dueDate = dueDate.format('YYYY-MM-DD');
+			}
+
+			if (toDo.priority !== undefined && !_.includes(ToDoPriority, toDo.priority)) {
+				throw new ValidationError({ status : 400, message : `To-do priority must be one of ${_.values(ToDoPriority).join(', ')}` });
+			}
+
+			return toDo;
+		},
+
+		/**
+		 * Check Interaction attributes and put them in the form ClientSuccess expects, occurredDate as an ISO 8601 string.
+		 * @private
+		 * @param  {Object}  attributes
+		 * @param  {Object}  options
+		 * @param  {Boolean} options.requireType - Whether attributes must have a type, as when creating an Interaction
+		 * @return {Object}                      - Copy of attributes
+		 */
+		validateInteraction : function(attributes, { requireType }) {
+			const interaction = Object.assign({}, attributes);
+
+			if ((requireType || interaction.type !== undefined) && !_.includes(InteractionType, interaction.type)) {
+				throw new ValidationError({ status : 400, message : `Interaction type must be one of ${_.values(InteractionType).join(', ')}` });
+			}
+
+			if (interaction.occurredDate !== undefined) {
+				const occurredDate = new Moment(interaction.occurredDate, Moment.ISO_8601);
+				if (!occurredDate.isValid()) {
+					throw new ValidationError({ status : 400, message : 'Invalid occurredDate for Interaction' });
+				}
+				interaction.occurredDate = occurredDate.toISOString();
+			}
+
+			if (interaction.contactIds !== undefined) {
+				if (!Array.isArray(interaction.contactIds)) {
+					throw new ValidationError({ status : 400, message : 'contactIds of an Interaction must be an array' });
+				}
+				interaction.contactIds.forEach(contactId => this.validateClientSuccessId(contactId));
+			}
+
+			return interaction;
+		},
+
+		/**
+		 * Finds the Client Type ID associated with the ClientSuccess Client Type Title
+		 * @param  {String} clientTypeString - Title of the Client Type
+		 * @return {Number}                  - ID of the Client Type
+		 */
+		getClientTypeId : async function(clientTypeString) {
+			if (!clientTypeString) {
+				throw new ValidationError({ status : 400, message : 'No clientTypeString provided in getClientTypeId' });
+			}
+
+			const clientType = _.find(await this.getClientSegments(), { title : clientTypeString });
+
+			if (clientType) {
+				return clientType.id;
+			}
+
+			throw new NotFoundError({ status : 404, message : `Requested client type ${clientTypeString} was not found` });
+		},
+
+		/**
+		 * Get the client segments (client types) set up in ClientSuccess, from the reference cache.
+		 * @return Promise<Object[]> - Segments: { id, title }
+		 */
+		getClientSegments : function() {
+			return this.getReferenceData('clientSegments');
+		},
+
+		/**
+		 * Get the client statuses ClientSuccess knows, from the reference cache.
+		 * @return Promise<Object[]> - Statuses: { id, title }
+		 */
+		getClientStatuses : function() {
+			return this.getReferenceData('clientStatuses');
+		},
+
+		/**
+		 * Get every product, active or not, from the reference cache.
+		 * @return Promise<Object[]> - Products: { id, name, active, recurring }
+		 */
+		getProducts : function() {
+			return this.getReferenceData('products');
+		},
+
+		/**
+		 * Finds the ID of a client status from its title
+		 * @param  {String} statusTitle - Title of the status, e.g. 'Active'
+		 * @return Promise<Number>      - ID of the status, see ClientStatus
+		 */
+		getClientStatusId : async function(statusTitle) {
+			if (!statusTitle) {
+				throw new ValidationError({ status : 400, message : 'No statusTitle provided in getClientStatusId' });
+			}
+
+			const clientStatus = _.find(await this.getClientStatuses(), { title : statusTitle });
+
+			if (clientStatus) {
+				return clientStatus.id;
+			}
+
+			throw new NotFoundError({ status : 404, message : `Requested client status ${statusTitle} was not found` });
+		},
+
+		/**
+		 * Replace the segment, status and product names callers may give in attributes with the IDs ClientSuccess expects:
+		 * clientSegmentId, statusId and productId. Numbers are taken to be IDs already.
+		 * @private
+		 * @param  {Object} [attributes]
+		 * @return Promise<Object>       - Copy of attributes. Rejects with a NotFoundError for an unknown name
+		 */
+		resolveNames : async function(attributes = {}) {
+			const { segment, status, product, ...resolved } = attributes;
+
+			if (segment !== undefined) {
+				resolved.clientSegmentId = _.isNumber(segment) ? segment : await this.getClientTypeId(segment);
+			}
+			if (status !== undefined) {
+				resolved.statusId = _.isNumber(status) ? status : await this.getClientStatusId(status);
+			}
+			if (product !== undefined) {
+				resolved.productId = _.isNumber(product) ? product : await this.getProductId(product);
+			}
+			return resolved;
+		},
+
+		/**
+		 * Get the ClientSuccess employees (CSMs and other users of the account), from the reference cache.
+		 * @return Promise<Object[]> - Employees: { id, firstName, lastName, email }
+		 */
+		listEmployees : function() {
+			return this.getReferenceData('employees');
+		},
+
+		/**
+		 * Find a ClientSuccess employee by email address, ignoring case
+		 * @param  {String} email
+		 * @return Promise<Object> - Employee: { id, firstName, lastName, email }
+		 */
+		getEmployeeByEmail : async function(email) {
+			if (!email || !_.isString(email)) {
+				throw new ValidationError({ status : 400, message : 'Invalid email for getEmployeeByEmail' });
+			}
+
+			const employee = _.find(await this.listEmployees(), ({ email : employeeEmail }) => _.toLower(employeeEmail) === email.trim().toLowerCase());
+
+			if (employee) {
+				return employee;
+			}
+
+			throw new NotFoundError({ status : 404, message : `Employee ${email} not found` });
+		},
+
+		/**
+		 * Make a ClientSuccess employee the owner (assigned CSM) of a Client
+		 * @param  {String}        clientId          - ClientSuccess Client ID
+		 * @param  {String|Number} employeeEmailOrId - Email address or ID of the employee
+		 * @return Promise<Object>                   - The object of the resulting updated Client. Rejects with a NotFoundError for an unknown employee
+		 */
+		assignClient : async function(clientId, employeeEmailOrId) {
+			this.validateClientSuccessId(clientId);
+
+			let employee;
+			if (isNumeric(employeeEmailOrId)) {
+				employee = _.find(await this.listEmployees(), ({ id }) => `${id}` === `${employeeEmailOrId}`);
+				if (!employee) {
+					throw new NotFoundError({ status : 404, message : `Employee ${employeeEmailOrId} not found` });
+				}
+			}
+			else {
+				employee = await this.getEmployeeByEmail(employeeEmailOrId);
+			}
+
+			return this.updateClient(clientId, { assignedUserId : employee.id });
+		},
+
+		/**
+		 * Get the custom field definitions ClientSuccess has for Clients or Contacts, from the reference cache.
+		 * @param  {String} recordType - 'client' or 'contact'
+		 * @return Promise<Object[]>   - Definitions: { id, key, label, type, options }
+		 */
+		getCustomFieldDefinitions : function(recordType) {
+			if (!CUSTOM_FIELD_RECORD_TYPES.includes(recordType)) {
+				return Promise.reject(new ValidationError({ status : 400, message : `Invalid record type ${recordType} for getCustomFieldDefinitions` }));
+			}
+
+			return this.getReferenceData(`${recordType}CustomFields`);
+		},
+
+		/**
+		 * Make the next read of cached reference data go to ClientSuccess, e.g. after changing it from the ClientSuccess UI.
+		 * @param  {String} [name] - clientSegments, clientStatuses, products, clientCustomFields, contactCustomFields or employees.
+		 *                           Everything when left out.
+		 * @return Promise
+		 */
+		invalidate : function(name) {
+			if (name && !REFERENCE_DATA[name]) {
+				return Promise.reject(new ValidationError({ status : 400, message : `Invalid reference data ${name} for invalidate` }));
+			}
+
+			const names = name ? [ name ] : Object.keys(REFERENCE_DATA);
+			return Promise.all(names.map(eachName => this.referenceCache.invalidate(this.getReferenceDataKey(eachName))));
+		},
+
+		/**
+		 * @private
+		 * @param  {String} name - Key of REFERENCE_DATA
+		 * @return Promise<*>
+		 */
+		getReferenceData : function(name) {
+			return this.referenceCache.get(this.getReferenceDataKey(name), () => this.hitClientSuccessAPI('GET', REFERENCE_DATA[name]));
+		},
+
+		/**
+		 * Cache key of reference data, so caches shared between ClientSuccess accounts keep their data apart.
+		 * @private
+		 */
+		getReferenceDataKey : function(name) {
+			return `clientsuccess:${this.username}:${name}`;
+		},
+
+		/**
+		 * Check custom attributes against the custom field definitions and coerce their values to the field's type:
+		 * numbers, booleans, dates (as YYYY-MM-DD) and picklist options. null always passes, to clear a field.
+		 * Attributes are matched to a field by label, key or custom field ID, in that order. Attributes matching no field
+		 * or with a value that can't be coerced are left out with a warning, or in strict mode reported all together in one ValidationError.
+		 * @param  {String} recordType       - 'client' or 'contact'
+		 * @param  {Object} customAttributes - Custom attributes keyed on label, key or custom field ID
+		 * @return Promise<Object>           - Custom attributes with coerced values, keyed on the field's current label
+		 */
+		validateCustomAttributes : async function(recordType, customAttributes) {
+			if (_.isEmpty(customAttributes)) {
+				return customAttributes;
+			}
+
+			const definitions   = await this.getCustomFieldDefinitions(recordType);
+			const validated     = {};
+			const invalidFields = [];
+
+			_.forEach(customAttributes, function(value, field) {
+				const definition = findCustomFieldDefinition(definitions, field);
+				if (!definition) {
+					invalidFields.push({ field, message : `'${field}' is not a ${recordType} custom field` });
+					return;
+				}
+
+				const coerced = coerceCustomFieldValue(definition, value);
+				if (coerced === undefined) {
+					invalidFields.push({ field, message : `'${field}' expects ${describeCustomFieldType(definition)}, got ${JSON.stringify(value)}` });
+					return;
+				}
+
+				validated[definition.label] = coerced;
+			});
+
+			if (invalidFields.length && this.strictCustomFields) {
+				throw new ValidationError({
+					status  : 400,
+					message : `Invalid ${recordType} custom attributes: ${invalidFields.map(({ message }) => message).join('; ')}`,
+					invalidFields,
+				});
+			}
+			if (invalidFields.length) {
+				this.log('http', 'warn', `Leaving out invalid ${recordType} custom attributes: ${invalidFields.map(({ message }) => message).join('; ')}`, {
+					recordType,
+					invalidFields : _.map(invalidFields, 'field'),
+				});
+			}
+
+			return validated;
+		},
+
+		/**
+		 * Read a fetched Client's or Contact's custom field values into a plain object.
+		 * @param  {Object} record               - ClientSuccess Client or Contact with customFieldValues
+		 * @param  {Object} [options]
+		 * @param  {String} [options.keyBy=key]  - 'key', 'label' or 'id'. Fields without a key fall back to their label.
+		 * @return {Object}                      - Custom field values keyed as requested
+		 */
+		readCustomAttributes : function(record, { keyBy = 'key' } = {}) {
+			if (![ 'key', 'label', 'id' ].includes(keyBy)) {
+				throw new ValidationError({ status : 400, message : `Invalid keyBy ${keyBy} for readCustomAttributes` });
+			}
+
+			const customAttributes = {};
+			_.forEach(_.get(record, 'customFieldValues'), function(customFieldObject) {
+				let key = customFieldObject.label;
+				if (keyBy === 'key' && customFieldObject.key) {
+					key = customFieldObject.key;
+				}
+				else if (keyBy === 'id') {
+					key = customFieldObject.customFieldId;
+				}
+				customAttributes[key] = customFieldObject.value;
+			});
+			return customAttributes;
+		},
+
+		/**
+		 * Helper function for patching a ClientSuccess object's custom attributes.
+		 * Matches the passed in custom attributes to the ClientSuccess Client/Contact object's customFieldValues on
+		 * their 'Label', or on their key or custom field ID, which stay the same when a field is renamed in ClientSuccess.
+		 * @private
+		 * @param  {Object} object           - Object that is to be patched
+		 * @param  {Object} customAttributes - Object of custom attributes and their desired values (keyed on label, key or custom field ID)
+		 */
+		patchCustomAttributes : function(object, customAttributes) {
+			if (customAttributes) {
+				_.forEach(customAttributes, function(customAttribute, customAttributeKey) {
+					_.forEach(object.customFieldValues, function(customFieldObject) {
+						if (customAttributeKey === customFieldObject.label || customAttributeKey === customFieldObject.key || customAttributeKey === `${customFieldObject.customFieldId}`) {
+							customFieldObject.value = customAttribute;
+						}
+					});
+				});
+			}
+		},
+
+		/**
+		 * Page through a ClientSuccess collection endpoint with hitClientSuccessAPI, one page per request.
+		 * Paging stops at the first page holding fewer than pageSize records, or holding only records already seen,
+		 * so an endpoint that ignores page and pageSize is read once rather than forever.
+		 * @private
+		 * @param  {String} path     - Collection path, without a query string
+		 * @param  {Object} filters  - Query parameters sent with every page; undefined values are left out
+		 * @param  {Number} pageSize - Records per page
+		 * @return {Object}          - Async iterable of records, with an all() method returning Promise<Object[]>
+		 */
+		paginate : function(path, filters, pageSize) {
+			const client = this;
+
+			async function*iterate() {
+				const seen = new Set();
+
+				for (let page = 1; ; page++) {
+					const query   = querystring.stringify(_.omitBy(Object.assign({}, filters, { page, pageSize }), _.isNil));
+					const records = await client.hitClientSuccessAPI('GET', `${path}?${query}`) || [];
+					const unseen  = records.filter(record => _.isNil(record.id) || !seen.has(record.id));
+
+					unseen.forEach(record => seen.add(record.id));
+					yield* unseen;
+
+					if (records.length < pageSize || !unseen.length) {
+						return;
+					}
+				}
+			}
+
+			return {
+				[Symbol.asyncIterator] : iterate,
+
+				all : async function() {
+					const records = [];
+					for await (const record of iterate()) {
+						records.push(record);
+					}
+					return records;
+				},
+			};
+		},
+
+		/**
+		 * Merge attributes into a record read from ClientSuccess and PUT it back, unless that would change nothing.
+		 * ClientSuccess requires that all 'required' fields be passed through to the update API, hence the full record.
+		 * @private
+		 * @param  {String} recordType       - 'client' or 'contact', selects the custom field definitions to validate against.
+		 *                                     Other record types, like 'interaction', have no custom attributes
+		 * @param  {String} path             - ClientSuccess path of the record
+		 * @param  {Object} current          - Record as just read from ClientSuccess. Read again once writes to it waiting in the outbox are replayed
+		 * @param  {Object} attributes       - Standard attributes to set
+		 * @param  {Object} customAttributes - Custom attributes to set, keyed on label
+		 * @return Promise<Object>           - Resulting record with non-enumerable `changed` and `changes`, or the plan in dry-run mode
+		 */
+		writeUpdate : async function(recordType, path, current, attributes, customAttributes) {
+			if (this.outbox && !this.dryRun && await this.hasQueuedWrites(path)) {
+				// current was read without the writes still waiting for it
+				current = await this.readAfterQueuedWrites(path);
+			}
+
+			const updated = Object.assign(_.cloneDeep(current), attributes);
+			this.patchCustomAttributes(updated, await this.validateCustomAttributes(recordType, customAttributes));
+
+			const changes = diffRecord(current, updated);
+
+			if (this.dryRun) {
+				return this.planWrite('update', 'PUT', path, updated, changes);
+			}
+
+			if (!hasChanges(changes)) {
+				return withChanges(current, changes);
+			}
+
+			return withChanges(await this.hitClientSuccessAPI('PUT', path, updated), changes);
+		},
+
+		/**
+		 * Describe a write that dry-run mode is not sending.
+		 * @private
+		 * @param  {String} action    - create, update or delete
+		 * @param  {String} method    - HTTP method the write would use
+		 * @param  {String} path      - ClientSuccess path the write would go to
+		 * @param  {Object} [data]    - Body the write would send
+		 * @param  {Object} [changes] - { attributes, customAttributes }, each keyed on field with { from, to } values
+		 * @return {Object}           - The plan
+		 */
+		planWrite : function(action, method, path, data, changes = { attributes : {}, customAttributes : {} }) {
+			return { dryRun : true, action, method, path, data, changed : action !== 'update' || hasChanges(changes), changes };
+		},
+
+		/**
+		 * @private
+		 */
+		planCreate : function(path, attributes = {}, customAttributes = {}) {
+			return this.planWrite('create', 'POST', path, attributes, {
+				attributes       : diffRecord({}, attributes).attributes,
+				customAttributes : _.mapValues(customAttributes, to => ({ from : null, to })),
+			});
+		},
+
+		/**
+		 * @private
+		 * @param {Object} [current] - Record that would be deleted, when it was read
+		 */
+		planDelete : function(path, current) {
+			return Object.assign(this.planWrite('delete', 'DELETE', path), { current });
+		},
+
+		/**
+		 * Quickly validate if a value is valid to be sent to ClientSuccess
+		 * @private
+		 * @param  {String} clientSuccessId ClientSuccess ID that is to be validated
+		 */
+		validateClientSuccessId : function(clientSuccessId) {
+			if (!clientSuccessId || isNaN(parseInt(clientSuccessId))) {
+				throw new ValidationError({ status : 400, message : 'Invalid ClientSuccess ID' });
+			}
+		},
+
+		/**
+		 * Check if the id of the contact passed in belongs to the client id thats passed in.
+		 * This is done through a GET api call since ClientSuccess contains this logic when
+		 * hitting this endpoint. Does not seem to also be the case with the DELETE endpoint
+		 * so this method should be used before sending a DELETE request for a contact.
+		 * @param {String} clientId  - the ID of the client the contact should be a part of
+		 * @param {String} contactId - the ID of the contact to be checked
+		 */
+		doesContactBelongToClient : async function(clientId, contactId) {
 			try {
 				const contact = await this.getContact(clientId, contactId);
-				return `${contact.clientId}` === clientId; // needs to be converted to a string since the object returned holds it as an int
+				return `${contact.clientId}` === `${clientId}`; // compare as strings since the object returned holds it as an int
 			}
 			catch(err) {
 				return false;
@@ -439,44 +1753,267 @@ JS.class(ClientSuccessClient, {
 		},
 
 		/**
-		 * Track user activity into the ClientSuccess usage module
+		 * Track user activity into the ClientSuccess usage module.
+		 * The Client is given by its ClientSuccess ID or its externalId, and the Contact (if any) by ID or email.
+		 * Clients and Contacts that have to be looked up are reused for an hour. Pass organizationName along with clientID
+		 * to skip looking the Client up at all.
 		 * @param  {Object}  [options]
-		 * @param  {String}  [options.clientID]      - ID of the ClientSuccess client that the usage will be logged under
-		 * @param  {String}  [options.contactID]     - ID of the contact that the activity originated from
-		 * @param  {String}  [options.activity]      - Activity name that occurred
-		 * @param  {Number}  [options.occurrences=1] - Number of times that the user completed this action
-		 * @param  {Date}    [options.timestamp]     - ISO 8601 formatted timestamp that the event occured
+		 * @param  {String}  [options.clientID]         - ID of the ClientSuccess client that the usage will be logged under
+		 * @param  {String}  [options.clientExternalId] - externalId of that client, instead of clientID
+		 * @param  {String}  [options.organizationName] - Name of that client, to log usage under without looking it up by clientID
+		 * @param  {String}  [options.contactID]        - ID of the contact that the activity originated from
+		 * @param  {String}  [options.contactEmail]     - Email of that contact, instead of contactID
+		 * @param  {String}  [options.activity]         - Activity name that occurred, at most 64 characters and not starting with $
+		 * @param  {Number}  [options.occurrences=1]    - Number of times that the user completed this action, a positive integer
+		 * @param  {Date}    [options.timestamp]        - ISO 8601 formatted timestamp that the event occured
+		 * @param  {Object}  [options.properties]       - Event properties sent along, e.g. { featureArea, plan, roadmapId }.
+		 *                                                identity, value and keen are taken, and names can't start with $ or contain a dot
+		 * @param  {Object}  [options.userTraits]       - Traits of the contact sent along with its ID, e.g. { name, email, role }
+		 * @return Promise<Object> - The collector's response. Rejects with a NotFoundError for an unknown Client or Contact.
+		 *                           With an outbox, activity the collector turns away with a 429 or 503 rejects with
+		 *                           an error whose queued is true, and is replayed later
 		 */
-		trackActivity : async function({ clientID, contactID, activity, occurrences = 1, timestamp } = {}) {
-			this.validateClientSuccessId(clientID);
-			const client           = await this.getClient(clientID);
-			const activityIdentity = {
-				identity : {
-					organization : {
-						id   : client.id,
-						name : client.name,
-					},
-				},
-				value : occurrences,
-				keen  : {
-					timestamp : timestamp ? new Moment(timestamp).toISOString() : '',
-				},
-			};
+		trackActivity : async function(options = {}) {
+			this.validateActivity(options);
+			const { client, contactID } = await this.resolveUsageIdentity(options);
+
+			const usageEvent = toUsageEvent(client, _.defaults({ contactID }, options, { occurrences : 1 }));
+			return this.postUsage(`projects/${this.eventsProjectID}/events/${encodeURIComponent(options.activity)}`, usageEvent, [ usageEvent ]);
+		},
 
-			if (contactID) {
-				activityIdentity.identity.user = {
-					id : contactID,
-				};
+		/**
+		 * Track several activities of one Client or Contact into the ClientSuccess usage module in one request.
+		 * @param  {Object[]} activities - { activity, occurrences, timestamp, properties } as trackActivity, timestamp defaulting to now
+		 * @param  {Object}   identity   - clientID or clientExternalId, organizationName, contactID or contactEmail, and userTraits,
+		 *                                 as trackActivity
+		 * @return Promise<Object>       - The collector's response, as trackActivity
+		 */
+		trackActivities : async function(activities, identity = {}) {
+			if (!_.isArray(activities) || !activities.length) {
+				throw new ValidationError({ status : 400, message : 'Activities Required' });
 			}
+			activities.forEach(activity => this.validateActivity(Object.assign({}, identity, activity)));
+			const { client, contactID } = await this.resolveUsageIdentity(identity);
 
-			const response = await axios({
-				method  : 'POST',
-				url     : `https://usage.clientsuccess.com/collector/1.0.0/projects/${this.eventsProjectID}/events/${encodeURIComponent(activity)}?api_key=${this.eventsAPIKey}`,
-				headers : { 'Content-Type' : 'application/json' },
-				data    : activityIdentity,
+			const timestamp   = new Date();
+			const usageEvents = activities.map(activity => ({
+				activity   : activity.activity,
+				usageEvent : toUsageEvent(client, _.defaults({ contactID, userTraits : identity.userTraits }, activity, { occurrences : 1, timestamp })),
+			}));
+			const batch = _.mapValues(_.groupBy(usageEvents, 'activity'), grouped => _.map(grouped, 'usageEvent'));
+
+			return this.postUsage(`projects/${this.eventsProjectID}/events`, batch, _.map(usageEvents, 'usageEvent'));
+		},
+
+		/**
+		 * POST usage to the collector, keeping it in the outbox when there is one and the collector turned it away.
+		 * @private
+		 * @param  {String}   eventPath
+		 * @param  {Object}   data
+		 * @param  {Object[]} usageEvents - The events in data
+		 * @return Promise<Object>        - axios-style response
+		 */
+		postUsage : async function(eventPath, data, usageEvents) {
+			try {
+				return await this.sendUsage(eventPath, data);
+			}
+			catch (error) {
+				if (!this.outbox) {
+					throw error;
+				}
+
+				// a replay is too late for the collector's own timestamp to be right
+				const now = new Date().toISOString();
+				usageEvents.forEach(usageEvent => {
+					usageEvent.keen.timestamp = usageEvent.keen.timestamp || now;
+				});
+				throw await this.addToOutbox(error, { id : createIdempotencyKey(), type : 'usage', method : 'POST', path : eventPath, body : data });
+			}
+		},
+
+		/**
+		 * Queue user activity to be sent to the ClientSuccess usage module in a batch with other activity.
+		 * Batches go out once enough activity is queued, every few seconds, and on flush() or close(). Call close() on shutdown:
+		 * the flush on the process's beforeExit event doesn't happen on a signal or process.exit().
+		 * Activity of Clients or Contacts that turn out not to exist is dropped when its batch is sent, and so is a batch the
+		 * collector refuses for anything but being unavailable.
+		 * @param {Object}  options                   - As trackActivity
+		 * @param {Date}    [options.timestamp=now]   - When the activity occurred
+		 */
+		queueActivity : function(options = {}) {
+			this.validateActivity(options);
+
+			const { timestamp = new Date() } = options;
+			const event = _.pick(options, [ 'clientID', 'clientExternalId', 'organizationName', 'contactID', 'contactEmail', 'userTraits', 'activity', 'occurrences', 'properties' ]);
+			this.getUsageBuffer().push(_.defaults({ timestamp : new Moment(timestamp).toISOString() }, event, { occurrences : 1 }));
+		},
+
+		/**
+		 * Check activity before it is sent or queued.
+		 * @private
+		 */
+		validateActivity : function({ clientID, clientExternalId, contactID, contactEmail, activity, occurrences = 1, properties, userTraits }) {
+			if (clientExternalId === undefined || clientID !== undefined) {
+				this.validateClientSuccessId(clientID);
+			}
+			else if (!clientExternalId || !_.isString(clientExternalId)) {
+				throw new ValidationError({ status : 400, message : 'Invalid clientExternalId' });
+			}
+
+			if (!_.isString(activity) || !activity.trim() || activity.length > MAX_ACTIVITY_LENGTH || activity.startsWith('$')) {
+				throw new ValidationError({ status : 400, message : `Activity must be a name of 1 to ${MAX_ACTIVITY_LENGTH} characters, not starting with $` });
+			}
+
+			if (!Number.isInteger(occurrences) || occurrences < 1) {
+				throw new ValidationError({ status : 400, message : 'Occurrences must be a positive integer' });
+			}
+
+			if (properties !== undefined) {
+				const invalidNames = _.keys(properties).filter(name => RESERVED_USAGE_PROPERTIES.includes(name) || name.startsWith('$') || name.includes('.'));
+				if (!_.isPlainObject(properties) || invalidNames.length) {
+					throw new ValidationError({ status : 400, message : `Properties must be an object without ${RESERVED_USAGE_PROPERTIES.join(', ')} or names starting with $ or containing a dot. Invalid: ${invalidNames.join(', ')}` });
+				}
+			}
+
+			if (userTraits !== undefined && (!_.isPlainObject(userTraits) || (!contactID && !contactEmail))) {
+				throw new ValidationError({ status : 400, message : 'userTraits must be an object, and need a contactID or contactEmail' });
+			}
+		},
+
+		/**
+		 * Work out the Client (id and name) and Contact ID that activity is logged under, looking up what wasn't given.
+		 * Lookups are reused for an hour so activity doesn't cost a request every time. Only the fields needed here are kept.
+		 * @private
+		 * @param  {Object} identity - clientID or clientExternalId, organizationName, contactID or contactEmail, as trackActivity
+		 * @return Promise<Object>   - { client : { id, name }, contactID }
+		 */
+		resolveUsageIdentity : async function({ clientID, clientExternalId, organizationName, contactID, contactEmail }) {
+			let client;
+			if (clientID !== undefined && organizationName && (contactID || !contactEmail)) {
+				client = { id : clientID, name : organizationName };
+			}
+			else if (clientID !== undefined) {
+				client = await this.usageIdentities.get(`client:${clientID}`, () => this.getClient(clientID).then(toUsageClient));
+			}
+			else {
+				client = await this.usageIdentities.get(`client-external:${clientExternalId}`, () => this.getClientByExternalId(clientExternalId).then(toUsageClient));
+			}
+
+			if (!contactID && contactEmail) {
+				const externalId = clientExternalId || client.externalId;
+				if (!externalId) {
+					throw new NotFoundError({ status : 404, message : `Client ${client.id} has no externalId to find contact ${contactEmail} by` });
+				}
+
+				const contact = await this.usageIdentities.get(`contact:${externalId}:${contactEmail.toLowerCase()}`, () => this.getContactByEmail(externalId, contactEmail).then(contact => _.pick(contact, 'id')));
+				contactID = contact.id;
+			}
+
+			return { client : { id : client.id, name : organizationName || client.name }, contactID };
+		},
+
+		/**
+		 * Send all activity queued by queueActivity now.
+		 * @return Promise<Number> - Number of activities sent. Rejects if the collector is unavailable, the batch's activity stays
+		 *                           queued for the next flush
+		 */
+		flush : function() {
+			return this.usageBuffer ? this.usageBuffer.flush() : Promise.resolve(0);
+		},
+
+		/**
+		 * Send all activity queued by queueActivity and stop sending it or replaying the outbox on a timer, e.g. when shutting down.
+		 * Activity can't be queued after this. Each batch is sent once, without retries, and one ClientSuccess is unavailable for
+		 * goes to the outbox if there is one.
+		 * @param  {Object} [options]
+		 * @param  {Number} [options.timeout=10000] - Milliseconds to wait for queued activity to be sent, 0 to wait however long it takes
+		 * @return Promise<Number>                  - As flush(). Rejects when activity is still queued after the timeout
+		 */
+		close : function({ timeout = DEFAULT_CLOSE_TIMEOUT } = {}) {
+			clearInterval(this.replayTimer);
+			this.replayTimer = null;
+			return this.getUsageBuffer().close({ timeout });
+		},
+
+		/**
+		 * @private
+		 */
+		getUsageBuffer : function() {
+			if (!this.usageBuffer) {
+				this.usageBuffer = new UsageBuffer((events, { final }) => this.sendActivityBatch(events, { final }), Object.assign({
+					isRetryable : isUnavailable,
+					onError     : (error, dropped) => this.log('usage', 'error', dropped
+						? `Dropped ${dropped.length} queued activities: ${error.message}`
+						: `Sending queued activity failed: ${error.message}`, { status : error.status }),
+				}, this.usageBufferOptions));
+			}
+			return this.usageBuffer;
+		},
+
+		/**
+		 * Send queued activity to the usage collector in one request, grouped by activity name.
+		 * Retries like hitClientSuccessAPI does for transient failures, then keeps the batch in the outbox if there is one.
+		 * Activity of Clients that don't exist is dropped.
+		 * @private
+		 * @param  {Object[]} events                - Activity as queued by queueActivity
+		 * @param  {Object}   [options]
+		 * @param  {Boolean}  [options.final=false] - Send once without retrying, when shutting down
+		 * @return Promise
+		 */
+		sendActivityBatch : async function(events, { final = false } = {}) {
+			const identities = await Promise.all(events.map(event => this.resolveUsageIdentity(event).catch(error => {
+				if (error.status !== 404) {
+					throw error;
+				}
+				this.log('usage', 'warn', `Dropping ${event.activity} activity: ${error.message}`, _.pick(event, [ 'clientID', 'clientExternalId', 'contactID', 'contactEmail' ]));
+				return null;
+			})));
+
+			const batch = {};
+			events.forEach((event, index) => {
+				if (identities[index]) {
+					const { client, contactID } = identities[index];
+					(batch[event.activity] = batch[event.activity] || []).push(toUsageEvent(client, Object.assign({}, event, { contactID })));
+				}
 			});
+			if (_.isEmpty(batch)) {
+				return;
+			}
 
-			return response;
+			const eventPath   = `projects/${this.eventsProjectID}/events`;
+			const maxAttempts = final ? 1 : this.retryPolicy.maxAttempts;
+			for (let attempts = 1; ; attempts++) {
+				try {
+					return await this.sendUsage(eventPath, batch, attempts);
+				}
+				catch (error) {
+					if (isUnavailable(error) && attempts < maxAttempts) {
+						await delay(this.getRetryDelay(attempts, _.get(error, 'cause.response')));
+						continue;
+					}
+					if (this.outbox && (await this.addToOutbox(error, { id : createIdempotencyKey(), type : 'usage', method : 'POST', path : eventPath, body : batch })).queued) {
+						return;
+					}
+					throw error;
+				}
+			}
+		},
+
+		/**
+		 * POST to the usage collector.
+		 * @private
+		 * @param  {String} eventPath   - Path under the collector URL. It leaves out the api_key so it never ends up in an error report
+		 * @param  {Object} data
+		 * @param  {Number} [attempt=1]
+		 * @return Promise<Object>      - axios-style response
+		 */
+		sendUsage : function(eventPath, data, attempt = 1) {
+			return this.send({
+				method  : 'POST',
+				url     : `${this.collectorURL}${eventPath}?api_key=${this.eventsAPIKey}`,
+				headers : { 'Content-Type' : 'application/json' },
+				data,
+			}, { path : eventPath, attempt, namespace : 'usage' });
 		},
 
 		/**
@@ -485,15 +2022,13 @@ JS.class(ClientSuccessClient, {
 		 * @return {Integer}            - ID of the Product
 		 */
 		getProductId : async function(productName) {
-			const clientSuccessProducts = await this.hitClientSuccessAPI('GET', 'products');
-
-			const foundProduct = _.find(clientSuccessProducts, { active : true, name : productName });
+			const foundProduct = _.find(await this.getProducts(), { active : true, name : productName });
 
 			if (foundProduct) {
 				return foundProduct.id;
 			}
 
-			throw new CustomError({ status : 404, message : 'Product not found' });
+			throw new NotFoundError({ status : 404, message : 'Product not found' });
 		},
 
 		/**
@@ -505,7 +2040,7 @@ JS.class(ClientSuccessClient, {
 		 */
 		createProductType : function(name, { recurring = true } = {}) {
 			if (!name) {
-				throw new CustomError({ status : 400, message : 'Product Name Required' });
+				throw new ValidationError({ status : 400, message : 'Product Name Required' });
 			}
 
 			const productAttributes = {
@@ -514,15 +2049,35 @@ JS.class(ClientSuccessClient, {
 				active : true,
 			};
 
-			return this.hitClientSuccessAPI('POST', 'products', productAttributes);
+			if (this.dryRun) {
+				return Promise.resolve(this.planCreate('products', productAttributes));
+			}
+
+			return this.hitClientSuccessAPI('POST', 'products', productAttributes).then(async product => {
+				await this.invalidate('products');
+				return product;
+			});
 		},
 
 		deleteProduct : function(productId) {
 			if (!productId) {
-				throw new CustomError({ status : 400, message : 'Product ID Required for Deletion' });
+				throw new ValidationError({ status : 400, message : 'Product ID Required for Deletion' });
 			}
 
-			return this.hitClientSuccessAPI('DELETE', `products/${productId}`);
+			if (this.dryRun) {
+				return this.getProducts().then(products => {
+					const product = _.find(products, ({ id }) => `${id}` === `${productId}`);
+					if (!product) {
+						throw new NotFoundError({ status : 404, message : 'Product not found' });
+					}
+					return this.planDelete(`products/${productId}`, product);
+				});
+			}
+
+			return this.hitClientSuccessAPI('DELETE', `products/${productId}`).then(async response => {
+				await this.invalidate('products');
+				return response;
+			});
 		},
 
 		/**
@@ -535,14 +2090,14 @@ JS.class(ClientSuccessClient, {
 
 			const clientSubscriptions = await this.hitClientSuccessAPI('GET', `subscriptions?clientId=${clientID}`);
 			if (clientSubscriptions.length === 0) {
-				throw new CustomError({ status : 404, message : 'No subscriptions found for client' });
+				throw new NotFoundError({ status : 404, message : 'No subscriptions found for client' });
 			}
 
 			// ClientSuccess has outlined that Subscriptions that are considered 'Active' have attribute isPotential = false
 			// Loop through the returned array and pull out the 'Active' subscriptions
 			return clientSubscriptions.filter(function(subscription) {
 				if (subscription.isPotential === undefined) {
-					throw new CustomError({ status : 404, message : 'Subscription isPotential attribute does not exist.' });
+					throw new NotFoundError({ status : 404, message : 'Subscription isPotential attribute does not exist.' });
 				}
 
 				if (subscription.isPotential === false && (subscription.terminationDate === null || subscription.renewedDate === null)) {
@@ -554,27 +2109,42 @@ JS.class(ClientSuccessClient, {
 		/**
 		 * Create a ClientSuccess Subscription line item under the passed Client
 		 * @param  {String} clientID   - ClientSuccess Client
-		 * @param  {Object} attributes - List of Subscription attributes
+		 * @param  {Object} attributes - List of Subscription attributes. A product name may be given as `product` instead of a productId
 		 * @return Promise<Object>     - Resulting ClientSuccess Subscription created
 		 */
 		createClientSubscription : function(clientID, attributes) {
 			this.validateClientSuccessId(clientID);
 
-			// add clientID to the attributes array
-			const finalAttributes = Object.assign({}, attributes, { clientId : clientID });
+			return this.resolveNames(attributes).then(resolvedAttributes => {
+				// add clientID to the attributes array
+				const finalAttributes = Object.assign(resolvedAttributes, { clientId : clientID });
+
+				if (this.dryRun) {
+					// make sure the Client exists, as the real POST would
+					return this.getClient(clientID).then(() => this.planCreate('subscriptions', finalAttributes));
+				}
 
-			return this.hitClientSuccessAPI('POST', 'subscriptions', finalAttributes);
+				return this.hitClientSuccessAPI('POST', 'subscriptions', finalAttributes);
+			});
 		},
 
 		/**
 		 * Update a ClientSuccess Client subscription
+		 * In dry-run mode the plan's changes are against the Subscription as ClientSuccess has it, so fields of a stale
+		 * subscriptionObject that the PUT would put back show up as changes too.
 		 * @param  {Object} subscriptionObject - Subscription object to update
 		 * @param  {Object} attributesToUpdate - Attribute object to update the subscription with
 		 * @return Promise<Object>             - Resulting ClientSuccess Subscription that was updated
 		 */
 		updateClientSubscription : function(subscriptionObject, attributesToUpdate) {
 			if (!subscriptionObject.id) {
-				throw new CustomError({ status : 400, message : 'Passed subscription object does not have an ID' });
+				throw new ValidationError({ status : 400, message : 'Passed subscription object does not have an ID' });
+			}
+
+			if (this.dryRun) {
+				// leave the caller's object untouched, nothing is being written
+				const updatedSubscription = Object.assign(_.cloneDeep(subscriptionObject), attributesToUpdate);
+				return this.getSubscription(subscriptionObject.id).then(current => this.planWrite('update', 'PUT', `subscriptions/${subscriptionObject.id}`, updatedSubscription, diffRecord(current, updatedSubscription)));
 			}
 
 			Object.assign(subscriptionObject, attributesToUpdate);
@@ -589,11 +2159,116 @@ JS.class(ClientSuccessClient, {
 		 */
 		deleteClientSubscription : function(subscriptionID) {
 			if (!subscriptionID) {
-				throw new CustomError({ status : 400, message : 'Subscription ID Not Provided' });
+				throw new ValidationError({ status : 400, message : 'Subscription ID Not Provided' });
+			}
+
+			if (this.dryRun) {
+				return this.getSubscription(subscriptionID).then(subscription => this.planDelete(`subscriptions/${subscriptionID}`, subscription));
 			}
 
 			return this.hitClientSuccessAPI('DELETE', `subscriptions/${subscriptionID}`);
 		},
+
+		/**
+		 * List a Client's Subscription line items, oldest first, with startDate, endDate, terminationDate and renewedDate as YYYY-MM-DD.
+		 * A line is terminated once its terminationDate has passed, so lines ending in the future are still listed.
+		 * @param  {String}  clientId
+		 * @param  {Object}  [options]
+		 * @param  {Boolean} [options.includePotential=false]  - Include potential (not yet booked) lines
+		 * @param  {Boolean} [options.includeTerminated=false] - Include terminated lines, e.g. ones that were renewed
+		 * @return Promise<Object[]>
+		 */
+		listClientSubscriptions : async function(clientId, { includePotential = false, includeTerminated = false } = {}) {
+			this.validateClientSuccessId(clientId);
+
+			const today         = Moment.utc().format('YYYY-MM-DD');
+			const subscriptions = (await this.hitClientSuccessAPI('GET', `subscriptions?clientId=${clientId}`) || [])
+				.map(subscription => Object.assign(subscription, _.mapValues(_.pick(subscription, SUBSCRIPTION_DATES), date => toDateString(date))));
+
+			const listed = subscriptions.filter(({ isPotential, terminationDate }) => (includePotential || !isPotential)
+				&& (includeTerminated || !terminationDate || terminationDate > today));
+			return _.sortBy(listed, [ 'startDate', 'id' ]);
+		},
+
+		/**
+		 * Renew a Subscription line item: create the renewal line, then terminate the old line the day before the renewal starts
+		 * and mark it renewed on the renewal's startDate.
+		 * The renewal copies the old line's product, amount, quantity, isRecurring and autoRenew. It starts the day after the
+		 * old line ends, and runs for as long as the old line did, unless given other dates.
+		 * @param  {Integer} subscriptionId
+		 * @param  {Object}  [attributes]  - Attributes of the renewal that differ from the old line, e.g. amount, startDate, endDate
+		 * @return Promise<Object>         - { previous, renewal } - the terminated old line and the renewal created
+		 */
+		renewSubscription : async function(subscriptionId, attributes = {}) {
+			const subscription = await this.getSubscription(subscriptionId);
+			const previousStart = toDate(toDateString(subscription.startDate));
+			const previousEnd   = toDate(toDateString(subscription.endDate));
+
+			const startDate = this.validateSubscriptionDate(attributes, 'startDate') || (previousEnd && previousEnd.clone().add(1, 'day').format('YYYY-MM-DD'));
+			if (!startDate) {
+				throw new ValidationError({ status : 400, message : 'startDate Required to renew a Subscription without an endDate' });
+			}
+
+			let endDate = this.validateSubscriptionDate(attributes, 'endDate');
+			if (!endDate && previousEnd && previousStart) {
+				// a term of whole months (e.g. a year) renews for the same months, whatever their length this time round
+				const months = previousEnd.clone().add(1, 'day').diff(previousStart, 'months', true);
+				endDate      = Number.isInteger(months)
+					? toDate(startDate).add(months, 'months').subtract(1, 'day').format('YYYY-MM-DD')
+					: toDate(startDate).add(previousEnd.diff(previousStart, 'days'), 'days').format('YYYY-MM-DD');
+			}
+
+			const renewal = await this.createClientSubscription(subscription.clientId, Object.assign(
+				_.pick(subscription, [ 'productId', 'amount', 'quantity', 'isRecurring', 'autoRenew' ]),
+				attributes,
+				_.omitBy({ startDate, endDate }, _.isUndefined)
+			));
+			const previous = await this.updateClientSubscription(subscription, {
+				terminationDate : toDate(startDate).subtract(1, 'day').format('YYYY-MM-DD'),
+				renewedDate     : startDate,
+			});
+
+			return { previous, renewal };
+		},
+
+		/**
+		 * Terminate a Subscription line item.
+		 * @param  {Integer}            subscriptionId
+		 * @param  {Date|Moment|String} [date=today]   - Date of the termination
+		 * @return Promise<Object>                     - The terminated Subscription
+		 */
+		terminateSubscription : async function(subscriptionId, date = Moment.utc()) {
+			const terminationDate = this.validateSubscriptionDate({ terminationDate : date }, 'terminationDate');
+			const subscription    = await this.getSubscription(subscriptionId);
+
+			return this.updateClientSubscription(subscription, { terminationDate });
+		},
+
+		/**
+		 * @private
+		 */
+		getSubscription : function(subscriptionId) {
+			this.validateClientSuccessId(subscriptionId);
+
+			// renewSubscription and terminateSubscription write what they read back
+			return this.readAfterQueuedWrites(`subscriptions/${subscriptionId}`);
+		},
+
+		/**
+		 * @private
+		 * @return {String|undefined} - attributes[field] as YYYY-MM-DD, undefined when it isn't given
+		 */
+		validateSubscriptionDate : function(attributes, field) {
+			if (_.isNil(attributes[field])) {
+				return undefined;
+			}
+
+			const date = toDateString(attributes[field]);
+			if (!date) {
+				throw new ValidationError({ status : 400, message : `Invalid ${field} for Subscription` });
+			}
+			return date;
+		},
 	},
 });
 
@@ -602,7 +2277,7 @@ JS.class(CustomError, {
 
 	fields : {
 		/**
-		 * HTTP error status code
+		 * HTTP error status code, undefined when no response was received
 		 * @type {String}
 		 */
 		status : {
@@ -616,11 +2291,439 @@ JS.class(CustomError, {
 		userMessage : {
 			type : String,
 		},
+
+		/**
+		 * HTTP method of the request that failed
+		 * @type {String}
+		 */
+		method : {
+			type : String,
+		},
+
+		/**
+		 * ClientSuccess API path of the request that failed
+		 * @type {String}
+		 */
+		path : {
+			type : String,
+		},
+
+		/**
+		 * Request ID ClientSuccess assigned to the failed request, if it sent one back
+		 * @type {String}
+		 */
+		requestId : {
+			type : String,
+		},
+
+		/**
+		 * Raw response body ClientSuccess returned
+		 * @type {Object}
+		 */
+		body : {
+			type : Object,
+		},
+
+		/**
+		 * Underlying error that caused this one, e.g. the transport error
+		 * @type {Error}
+		 */
+		cause : {
+			type : Error,
+		},
+
+		/**
+		 * Every field that failed validation, as { field, message }, when the library rejected several at once
+		 * @type {Object[]}
+		 */
+		invalidFields : {
+			type : Array,
+		},
 	},
 
-	constructor : function({ status, message, userMessage }) {
+	constructor : function({ status, message, userMessage, method, path, requestId, body, cause, invalidFields }) {
 		this.status      = status;
 		this.message     = message;
 		this.userMessage = userMessage;
+		this.method      = method;
+		this.path        = path;
+		this.requestId   = requestId;
+		this.body        = body;
+		this.cause       = cause;
+
+		this.invalidFields = invalidFields;
 	},
 });
+
+// 401 from ClientSuccess, or credentials it rejected
+JS.class(AuthenticationError, { inherits : CustomError });
+// 404, or a record the library looked up that does not exist
+JS.class(NotFoundError, { inherits : CustomError });
+// 400 and 417, or arguments the library rejected before sending anything
+JS.class(ValidationError, { inherits : CustomError });
+// 429
+JS.class(RateLimitError, { inherits : CustomError });
+// 502, 503 and 504
+JS.class(ServiceUnavailableError, { inherits : CustomError });
+// no response was received at all: DNS failure, refused or reset connection
+JS.class(NetworkError, { inherits : CustomError });
+// no response was received before the request timed out
+JS.class(TimeoutError, { inherits : NetworkError });
+
+/**
+ * Turn the constructor's arguments, in either the options or the positional form, into one options object
+ * with credentials and URLs that weren't given filled in from the environment.
+ * @param  {Array}  args - Arguments the constructor was called with
+ * @return {Object}
+ */
+function toOptions([ usernameOrOptions, password, eventsProjectID, eventsAPIKey, options = {} ]) {
+	const given = _.isPlainObject(usernameOrOptions)
+		? usernameOrOptions
+		: Object.assign({}, options, { username : usernameOrOptions, password, eventsProjectID, eventsAPIKey });
+	const env = given.env || process.env;
+
+	return _.defaults(_.omitBy(given, _.isUndefined), {
+		username        : env.CLIENTSUCCESS_USERNAME,
+		password        : env.CLIENTSUCCESS_PASSWORD,
+		eventsProjectID : env.CLIENTSUCCESS_EVENTS_PROJECT_ID,
+		eventsAPIKey    : env.CLIENTSUCCESS_EVENTS_API_KEY,
+		baseURL         : env.CLIENTSUCCESS_BASE_URL || DEFAULT_BASE_URL,
+		collectorURL    : env.CLIENTSUCCESS_COLLECTOR_URL || DEFAULT_COLLECTOR_URL,
+	});
+}
+
+/**
+ * Deep copy of value with passwords, tokens and API keys replaced by [REDACTED], including the api_key query parameter of URLs.
+ * @param  {*} value
+ * @return {*}
+ */
+function redact(value) {
+	return _.cloneDeepWith(value, (field, key) => {
+		if (_.isString(key) && SECRET_KEYS.includes(key.toLowerCase())) {
+			return REDACTED;
+		}
+		if (key === 'url' && _.isString(field)) {
+			return field.replace(/([?&]api_key=)[^&#]*/gi, `$1${REDACTED}`);
+		}
+		return undefined;
+	});
+}
+
+function withTrailingSlash(url) {
+	return url.replace(/\/*$/, '/');
+}
+
+/**
+ * The fields of a looked up Client that usage events need, all that is kept of it between events.
+ * @param  {Object} client - ClientSuccess Client
+ * @return {Object}        - { id, name, externalId }
+ */
+function toUsageClient(client) {
+	return _.pick(client, [ 'id', 'name', 'externalId' ]);
+}
+
+/**
+ * Body the usage collector expects for one activity.
+ * @param  {Object} client                 - ClientSuccess Client the activity is logged under
+ * @param  {Object} activity
+ * @param  {String} [activity.contactID]
+ * @param  {Number} activity.occurrences
+ * @param  {Date}   [activity.timestamp]
+ * @param  {Object} [activity.properties]
+ * @param  {Object} [activity.userTraits]
+ * @return {Object}
+ */
+function toUsageEvent(client, { contactID, occurrences, timestamp, properties, userTraits }) {
+	const usageEvent = Object.assign({}, properties, {
+		identity : {
+			organization : {
+				id   : client.id,
+				name : client.name,
+			},
+		},
+		value : occurrences,
+		keen  : {
+			timestamp : timestamp ? new Moment(timestamp).toISOString() : '',
+		},
+	});
+
+	if (contactID) {
+		usageEvent.identity.user = Object.assign({}, userTraits, {
+			id : contactID,
+		});
+	}
+	return usageEvent;
+}
+
+/**
+ * Whether a request failed because ClientSuccess is unavailable, rather than because of the request itself.
+ * @param  {Error} error
+ * @return {Boolean}
+ */
+function isUnavailable(error) {
+	return error instanceof NetworkError || RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Whether ClientSuccess turned a request away without applying it, going by the status it answered with.
+ * @param  {CustomError} error
+ * @return {Boolean}
+ */
+function wasRefused(error) {
+	return [ 429, 503 ].includes(error.status);
+}
+
+/**
+ * Random key identifying one write however often it is sent.
+ * @return {String}
+ */
+function createIdempotencyKey() {
+	return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Resolve after the given number of milliseconds.
+ */
+function delay(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Field-by-field differences between a record as read from ClientSuccess and the record that would be written.
+ * Custom fields are compared through customFieldValues and keyed on their label. Values are compared with isSameValue.
+ * @param  {Object} current - Record as it is now
+ * @param  {Object} updated - Record as it would be written
+ * @return {Object}         - { attributes, customAttributes }, each keyed on field with { from, to } values
+ */
+function diffRecord(current, updated) {
+	const changes = { attributes : {}, customAttributes : {} };
+
+	_.forEach(_.omit(updated, 'customFieldValues'), function(to, field) {
+		const from = current[field];
+		if (!isSameValue(from, to)) {
+			changes.attributes[field] = { from, to };
+		}
+	});
+
+	_.forEach(updated.customFieldValues, function({ label, value : to }) {
+		const from = _.get(_.find(current.customFieldValues, { label }), 'value');
+		if (!isSameValue(from, to)) {
+			changes.customAttributes[label] = { from, to };
+		}
+	});
+
+	return changes;
+}
+
+/**
+ * Compare two field values the way ClientSuccess stores them: null and undefined are the same, a number equals
+ * its numeric string (IDs come back as numbers but are often sent as strings), and two dates are the
+ * same instant whatever their format ('2018-05-25' equals '2018-05-25T00:00:00.000Z').
+ */
+function isSameValue(from, to) {
+	return _.isEqualWith(from, to, function(a, b) {
+		if (_.isNil(a) || _.isNil(b)) {
+			return _.isNil(a) && _.isNil(b);
+		}
+		// only a number and a string, never two strings: '0042' is a different externalId or zip code than '42'
+		if (_.isNumber(a) !== _.isNumber(b) && isNumeric(a) && isNumeric(b)) {
+			return Number(a) === Number(b);
+		}
+
+		const aDate = toDate(a);
+		const bDate = toDate(b);
+		if (aDate && bDate) {
+			return aDate.isSame(bDate);
+		}
+		return undefined; // fall back to lodash's comparison
+	});
+}
+
+function isNumeric(value) {
+	return (_.isNumber(value) && isFinite(value)) || (_.isString(value) && /^-?\d+(\.\d+)?$/.test(value));
+}
+
+/**
+ * Parse a Date or ISO 8601 date string as UTC, null for anything else.
+ */
+function toDate(value) {
+	if (_.isDate(value)) {
+		return Moment.utc(value);
+	}
+	if (_.isString(value) && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+		const date = Moment.utc(value, Moment.ISO_8601, true);
+		return date.isValid() ? date : null;
+	}
+	return null;
+}
+
+/**
+ * A Date, Moment or ISO 8601 date string as YYYY-MM-DD (in UTC), null for anything else.
+ */
+function toDateString(value) {
+	const date = Moment.isMoment(value) || _.isDate(value) ? Moment.utc(value) : toDate(value);
+	return date && date.isValid() ? date.format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Find the custom field definition a custom attribute refers to, by label first, then key, then ID.
+ */
+function findCustomFieldDefinition(definitions, field) {
+	return _.find(definitions, { label : field })
+		|| _.find(definitions, { key : field })
+		|| _.find(definitions, ({ id }) => `${id}` === `${field}`);
+}
+
+/**
+ * Coerce a custom attribute value to the type of its custom field definition.
+ * @return {*} - The coerced value, undefined when the value is not valid for the field
+ */
+function coerceCustomFieldValue({ type, options }, value) {
+	if (value === null) {
+		return null;
+	}
+
+	switch (type) {
+		case 'text':
+			return _.isString(value) || _.isNumber(value) ? `${value}` : undefined;
+		case 'number':
+			return isNumeric(value) ? Number(value) : undefined;
+		case 'boolean':
+			if (_.isBoolean(value)) {
+				return value;
+			}
+			return [ 'true', 'false' ].includes(value) ? value === 'true' : undefined;
+		case 'date':
+			return toDateString(value) || undefined;
+		case 'picklist':
+			// accept any capitalization, but send the option as ClientSuccess spells it
+			return _.find(options, option => _.isString(value) && option.toLowerCase() === value.toLowerCase());
+		default:
+			return value;
+	}
+}
+
+function describeCustomFieldType({ type, options }) {
+	if (type === 'picklist') {
+		return `one of ${options.join(', ')}`;
+	}
+	return [ 'date', 'number', 'boolean' ].includes(type) ? `a ${type}` : 'text';
+}
+
+function hasChanges({ attributes, customAttributes }) {
+	return !_.isEmpty(attributes) || !_.isEmpty(customAttributes);
+}
+
+/**
+ * Attach the outcome of an update to the record it resolves to. The properties are non-enumerable
+ * so they don't end up in a body if the record is sent back to ClientSuccess.
+ */
+function withChanges(record, changes) {
+	if (!_.isObject(record)) {
+		return record;
+	}
+	return Object.defineProperties(record, {
+		changed : { value : hasChanges(changes), configurable : true },
+		changes : { value : changes, configurable : true },
+	});
+}
+
+/**
+ * Run an upsert over every record with at most `concurrency` groups in progress at once.
+ * Records sharing a group key run one after the other, in input order.
+ * @param  {Object[]} records
+ * @param  {Function} groupKey               - (record, index) => String
+ * @param  {Function} upsert                 - record => Promise
+ * @param  {Object}   options
+ * @param  {Number}   options.concurrency
+ * @param  {Function} [options.onProgress]   - Errors it throws are logged, the upserts carry on
+ * @param  {Function} options.log            - The client's log method
+ * @return Promise<Object[]>                 - One { index, success, result, error } per record, in input order
+ */
+async function runBulk(records, groupKey, upsert, { concurrency, onProgress, log }) {
+	if (!Array.isArray(records)) {
+		throw new ValidationError({ status : 400, message : 'Records array required for bulk upsert' });
+	}
+	if (!(concurrency >= 1)) {
+		throw new ValidationError({ status : 400, message : 'Bulk upsert concurrency must be at least 1' });
+	}
+
+	const results  = new Array(records.length);
+	const groups   = _.values(_.groupBy(records.map((record, index) => ({ record, index })), ({ record, index }) => groupKey(record, index)));
+	const progress = { completed : 0, total : records.length, succeeded : 0, failed : 0 };
+
+	async function worker() {
+		while (groups.length) {
+			for (const { record, index } of groups.shift()) {
+				try {
+					results[index] = { index, success : true, result : await upsert(record) };
+					progress.succeeded++;
+				}
+				catch (error) {
+					results[index] = { index, success : false, error };
+					progress.failed++;
+				}
+				progress.completed++;
+
+				if (onProgress) {
+					const update = Object.assign({}, progress);
+					Promise.resolve().then(() => onProgress(update)).catch(error => {
+						log('http', 'error', `onProgress failed: ${error.message}`, _.pick(update, 'completed', 'total'));
+					});
+				}
+			}
+		}
+	}
+
+	await Promise.all(_.times(Math.min(concurrency, groups.length), worker));
+	return results;
+}
+
+/**
+ * Convert an error thrown by the transport into the matching CustomError subclass.
+ * @param  {Error}  error  - Error thrown by the transport, with error.response set when ClientSuccess answered
+ * @param  {String} method - HTTP method of the request
+ * @param  {String} path   - Path of the request, relative to the API root
+ * @return {CustomError}
+ */
+function toCustomError(error, method, path) {
+	const details = { method, path, cause : error };
+
+	if (!error.response) {
+		if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+			return new TimeoutError(Object.assign(details, { message : `Request Timed Out (${error.code})` }));
+		}
+		return new NetworkError(Object.assign(details, { message : `Network Error (${error.code || error.message})` }));
+	}
+
+	const { status, data, headers = {} } = error.response;
+	Object.assign(details, {
+		status,
+		userMessage : _.get(data, 'userMessage'),
+		requestId   : headers['x-request-id'] || headers['x-correlation-id'],
+		body        : data,
+	});
+
+	if (status === 401) {
+		return new AuthenticationError(Object.assign(details, { message : 'Authentication Error' }));
+	}
+	else if (status === 429) {
+		return new RateLimitError(Object.assign(details, { message : 'Too Many Requests' }));
+	}
+	else if (status === 503) {
+		return new ServiceUnavailableError(Object.assign(details, { message : 'Service Temporarily Unavailable' }));
+	}
+	else if (status === 502 || status === 504) {
+		return new ServiceUnavailableError(Object.assign(details, { message : error.response.statusText || 'Bad Gateway' }));
+	}
+	else if (status === 417) {
+		return new ValidationError(Object.assign(details, { message : 'Expectation Failed' }));
+	}
+	else if (status === 404) {
+		return new NotFoundError(Object.assign(details, { message : 'Not Found' }));
+	}
+	else if (status === 400) {
+		return new ValidationError(Object.assign(details, { message : 'Bad Request' }));
+	}
+	return new CustomError(Object.assign(details, { message : error.response.statusText || error.message }));
+}
@@ -0,0 +1,38 @@
+const JS = require('@roadmunk/jsclass');
+
+const MemoryTokenStore = module.exports = JS.class('MemoryTokenStore');
+
+/**
+ * In-process store for ClientSuccess access tokens, keyed by username.
+ * Give several ClientSuccessClient instances the same store so they log in once between them. To share a login between
+ * processes, pass any object whose get(username) reads and set(username, token) writes a shared cache instead; either can
+ * be async, and a store that fails is logged and worked around by logging in.
+ * Tokens are { accessToken, expiresAt } with expiresAt in milliseconds.
+ */
+JS.class(MemoryTokenStore, {
+	fields : {
+		tokens : null,
+	},
+
+	constructor : function() {
+		this.tokens = new Map();
+	},
+
+	methods : {
+		/**
+		 * @param  {String} username
+		 * @return {Object|null} - Last token stored for username
+		 */
+		get : function(username) {
+			return this.tokens.get(username) || null;
+		},
+
+		/**
+		 * @param {String} username
+		 * @param {Object} token    - { accessToken, expiresAt }
+		 */
+		set : function(username, token) {
+			this.tokens.set(username, token);
+		},
+	},
+});
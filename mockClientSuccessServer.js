@@ -0,0 +1,914 @@
+const JS     = require('@roadmunk/jsclass');
+const _      = require('lodash');
+const Moment = require('moment');
+const url    = require('url');
+
+const MockClientSuccessServer = module.exports = JS.class('MockClientSuccessServer');
+
+/**
+ * In-memory stand-in for the ClientSuccess REST API and usage collector.
+ * Pass `server.transport` to ClientSuccessClient in place of axios to run against it without network access.
+ */
+JS.class(MockClientSuccessServer, {
+	fields : {
+		username        : null,
+		password        : null,
+		eventsProjectID : null,
+		eventsAPIKey    : null,
+		tokenLifetime   : null,
+		available       : true,
+		tokens          : null,
+		clients         : null,
+		contacts        : null,
+		clientSegments  : null,
+		clientStatuses  : null,
+		employees       : null,
+		products        : null,
+		subscriptions   : null,
+		interactions    : null,
+		toDos           : null,
+		customFields    : null,
+		usageEvents     : null,
+		requests        : null,
+		failures        : null,
+		nextId          : 90300000,
+		transport       : null,
+
+		idempotentWrites : null,
+	},
+
+	/**
+	 * @param {Object} [options]
+	 * @param {String} [options.username='test-user']             - Username accepted by the auth endpoint
+	 * @param {String} [options.password='test-password']         - Password accepted by the auth endpoint
+	 * @param {String} [options.eventsProjectID='test-project']   - Usage collector project ID
+	 * @param {String} [options.eventsAPIKey='test-api-key']      - Usage collector API key
+	 * @param {Number} [options.tokenLifetime]                    - Seconds an access token stays valid, sent back as expires_in.
+	 *                                                              Tokens never expire on their own when left out.
+	 */
+	constructor : function({ username = 'test-user', password = 'test-password', eventsProjectID = 'test-project', eventsAPIKey = 'test-api-key', tokenLifetime } = {}) {
+		this.username        = username;
+		this.password        = password;
+		this.eventsProjectID = eventsProjectID;
+		this.eventsAPIKey    = eventsAPIKey;
+		this.tokenLifetime   = tokenLifetime;
+
+		this.tokens        = new Map();	// access token => time it expires at, in milliseconds
+		this.clients       = new Map();
+		this.contacts      = new Map();
+		this.products      = new Map();
+		this.subscriptions = new Map();
+		this.interactions  = new Map();
+		this.toDos         = new Map();
+		this.usageEvents   = [];
+		this.requests      = [];
+		this.failures      = [];
+
+		this.idempotentWrites = new Map();	// Idempotency-Key header => response to the write first sent with it
+
+		this.clientSegments = [
+			{ id : 3600, title : 'Business' },
+			{ id : 3601, title : 'Enterprise' },
+			{ id : 3602, title : 'Starter' },
+		];
+
+		this.clientStatuses = [
+			{ id : 1, title : 'Active' },
+			{ id : 2, title : 'Inactive' },
+			{ id : 3, title : 'Trial' },
+			{ id : 4, title : 'Terminated' },
+			{ id : 5, title : 'Onboarding' },
+		];
+
+		this.employees = [
+			{ id : 4201, firstName : 'Casey', lastName : 'Morgan', email : 'casey.morgan@example.com' },
+			{ id : 4202, firstName : 'Jordan', lastName : 'Lee', email : 'jordan.lee@example.com' },
+		];
+
+		this.customFields = {
+			client : [
+				{ id : 501, key : 'account_notes', label : 'Account Notes', type : 'text' },
+				{ id : 502, key : 'renewal_date', label : 'Renewal Date', type : 'date' },
+				{ id : 503, key : 'seats', label : 'Seats', type : 'number' },
+				{ id : 504, key : 'churn_risk', label : 'Churn Risk', type : 'boolean' },
+				{ id : 505, key : 'plan', label : 'Plan', type : 'picklist', options : [ 'Starter', 'Business', 'Enterprise' ] },
+			],
+			contact : [
+				{ id : 601, key : 'role', label : 'Role', type : 'text' },
+				{ id : 602, key : 'external_id', label : 'External ID', type : 'text' },
+			],
+		};
+
+		// axios-compatible function so it can be handed straight to ClientSuccessClient
+		this.transport = config => this.request(config);
+	},
+
+	methods : {
+		/**
+		 * Add fixture data to the server. Records keep the IDs they are given.
+		 * @param  {Object}   fixtures
+		 * @param  {Object[]} [fixtures.clients]       - Client records
+		 * @param  {Object[]} [fixtures.contacts]      - Contact records, each with a clientId
+		 * @param  {Object[]} [fixtures.products]      - Product records
+		 * @param  {Object[]} [fixtures.subscriptions] - Subscription records, each with a clientId and productId
+		 * @param  {Object[]} [fixtures.interactions]  - Interaction records, each with a clientId
+		 * @param  {Object[]} [fixtures.toDos]         - To-do records, each with a clientId
+		 * @return {MockClientSuccessServer}           - this, for chaining
+		 */
+		seed : function({ clients = [], contacts = [], products = [], subscriptions = [], interactions = [], toDos = [] } = {}) {
+			clients.forEach(client => this.insertClient(client));
+			contacts.forEach(contact => this.insertContact(contact));
+			products.forEach(product => this.insertProduct(product));
+			subscriptions.forEach(subscription => this.insertSubscription(subscription));
+			interactions.forEach(interaction => this.insertInteraction(interaction));
+			toDos.forEach(toDo => this.insertToDo(toDo));
+			return this;
+		},
+
+		/**
+		 * Invalidate every issued access token, as if they had all expired.
+		 */
+		expireTokens : function() {
+			this.tokens.clear();
+		},
+
+		/**
+		 * Rename a custom field, as a ClientSuccess admin can do from the UI. Stored values follow the new label.
+		 * @param {String} recordType - 'client' or 'contact'
+		 * @param {Number} id         - Custom field ID
+		 * @param {String} label      - New label
+		 */
+		renameCustomField : function(recordType, id, label) {
+			_.find(this.customFields[recordType], { id }).label = label;
+			(recordType === 'client' ? this.clients : this.contacts).forEach(record => {
+				_.find(record.customFieldValues, { customFieldId : id }).label = label;
+			});
+		},
+
+		/**
+		 * Toggle whether the server answers every request with a 503.
+		 * @param {Boolean} available
+		 */
+		setAvailable : function(available) {
+			this.available = available;
+		},
+
+		/**
+		 * Make the next matching request(s) fail with the given status, before any routing happens.
+		 * Pass a `code` instead of a `status` to simulate a network failure that gets no response at all.
+		 * @param  {Object}   options
+		 * @param  {Number}   [options.status]     - HTTP status to respond with
+		 * @param  {String}   [options.code]       - Node network error code, e.g. ECONNRESET or ECONNABORTED
+		 * @param  {Number}   [options.times=1]    - How many requests should fail
+		 * @param  {String}   [options.method]     - Only fail requests with this HTTP method
+		 * @param  {RegExp}   [options.path]       - Only fail requests whose path matches
+		 * @param  {Object}   [options.data]       - Response body
+		 * @param  {Object}   [options.headers]    - Response headers
+		 */
+		failNext : function({ status, code, times = 1, method, path, data, headers = {} }) {
+			this.failures.push({ status, code, times, method, path, data : data || { userMessage : `Simulated ${status}` }, headers });
+		},
+
+		/**
+		 * Handle one HTTP request in axios config form.
+		 * @param  {Object} config              - axios request config
+		 * @param  {String} config.method
+		 * @param  {String} config.url
+		 * @param  {Object} [config.headers]
+		 * @param  {Object} [config.data]
+		 * @return Promise<Object>              - axios-style response; rejects with an axios-style error for non-2xx statuses
+		 */
+		request : async function(config) {
+			const method   = (config.method || 'GET').toUpperCase();
+			const parsed   = url.parse(config.url, true);
+			const path     = parsed.pathname.replace(/\/{2,}/g, '/').replace(/^\/v1\//, '').replace(/^\/|\/$/g, '');
+			const query    = parsed.query;
+			const headers  = config.headers || {};
+			const body     = config.data === undefined ? undefined : clone(config.data);
+			const request  = { method, host : parsed.host, path, query, headers, body };
+
+			this.requests.push(request);
+
+			const failure = this.takeFailure(request);
+			if (failure && failure.code) {
+				const error  = new Error(`${failure.code} (simulated)`);
+				error.code   = failure.code;
+				error.config = config;
+				throw error;
+			}
+			if (failure) {
+				return respond(config, failure.status, failure.data, failure.headers);
+			}
+
+			if (!this.available) {
+				return respond(config, 503, { userMessage : 'ClientSuccess is temporarily unavailable' });
+			}
+
+			// the collector is told apart by path as well, for clients pointed at a local stand-in through collectorURL
+			if (parsed.host === 'usage.clientsuccess.com' || /^collector\//.test(path)) {
+				return this.handleUsageEvent(config, request);
+			}
+
+			if (method === 'POST' && path === 'auth') {
+				return this.handleAuth(config, request);
+			}
+
+			if (!(this.tokens.get(headers.Authorization) > Date.now())) {
+				return respond(config, 401, { userMessage : 'Invalid or expired access token' });
+			}
+
+			const route = _.find(this.routes(), ({ verb, pattern }) => verb === method && pattern.test(path));
+			if (!route) {
+				return respond(config, 404, { userMessage : `No route for ${method} ${path}` });
+			}
+
+			// a write sent again with the same Idempotency-Key gets the response to the first, without being applied twice
+			const idempotencyKey = method !== 'GET' && headers['Idempotency-Key'];
+			if (idempotencyKey && this.idempotentWrites.has(idempotencyKey)) {
+				const { status, data } = this.idempotentWrites.get(idempotencyKey);
+				return respond(config, status, clone(data));
+			}
+
+			const [ , ...params ] = route.pattern.exec(path);
+			const { status, data } = route.handler.call(this, { params, query, body });
+			if (idempotencyKey) {
+				this.idempotentWrites.set(idempotencyKey, { status, data : clone(data) });
+			}
+			return respond(config, status, data);
+		},
+
+		/**
+		 * Route table for the REST API, matched against the path with the /v1/ prefix removed.
+		 * Each handler returns { status, data }.
+		 * @private
+		 */
+		routes : function() {
+			return [
+				{ verb : 'GET',    pattern : /^clients$/,                                handler : this.listClients },
+				{ verb : 'GET',    pattern : /^clients\/([^/]+)$/,                       handler : this.getClient },
+				{ verb : 'POST',   pattern : /^clients$/,                                handler : this.createClient },
+				{ verb : 'PUT',    pattern : /^clients\/([^/]+)$/,                       handler : this.updateClient },
+				{ verb : 'DELETE', pattern : /^clients\/([^/]+)$/,                       handler : this.deleteClient },
+				{ verb : 'GET',    pattern : /^clients\/([^/]+)\/contacts$/,             handler : this.listContacts },
+				{ verb : 'POST',   pattern : /^clients\/([^/]+)\/contacts$/,             handler : this.createContact },
+				{ verb : 'GET',    pattern : /^clients\/([^/]+)\/contacts\/([^/]+)\/details$/, handler : this.getContactDetails },
+				{ verb : 'PUT',    pattern : /^clients\/([^/]+)\/contacts\/([^/]+)\/details$/, handler : this.updateContact },
+				{ verb : 'DELETE', pattern : /^clients\/([^/]+)\/contacts\/([^/]+)$/,    handler : this.deleteContact },
+				{ verb : 'GET',    pattern : /^clients\/([^/]+)\/interactions$/,         handler : this.listInteractions },
+				{ verb : 'POST',   pattern : /^clients\/([^/]+)\/interactions$/,         handler : this.createInteraction },
+				{ verb : 'GET',    pattern : /^clients\/([^/]+)\/interactions\/([^/]+)$/, handler : this.getInteraction },
+				{ verb : 'PUT',    pattern : /^clients\/([^/]+)\/interactions\/([^/]+)$/, handler : this.updateInteraction },
+				{ verb : 'DELETE', pattern : /^clients\/([^/]+)\/interactions\/([^/]+)$/, handler : this.deleteInteraction },
+				{ verb : 'GET',    pattern : /^clients\/([^/]+)\/to-dos$/,               handler : this.listToDos },
+				{ verb : 'POST',   pattern : /^clients\/([^/]+)\/to-dos$/,               handler : this.createToDo },
+				{ verb : 'GET',    pattern : /^clients\/([^/]+)\/to-dos\/([^/]+)$/,       handler : this.getToDo },
+				{ verb : 'PUT',    pattern : /^clients\/([^/]+)\/to-dos\/([^/]+)$/,       handler : this.updateToDo },
+				{ verb : 'DELETE', pattern : /^clients\/([^/]+)\/to-dos\/([^/]+)$/,       handler : this.deleteToDo },
+				{ verb : 'GET',    pattern : /^contacts$/,                               handler : this.findContactByEmail },
+				{ verb : 'GET',    pattern : /^customfield\/(client|contact)$/,            handler : ({ params : [ recordType ] }) => ({ status : 200, data : clone(this.customFields[recordType]) }) },
+				{ verb : 'GET',    pattern : /^client-segments$/,                        handler : () => ({ status : 200, data : clone(this.clientSegments) }) },
+				{ verb : 'GET',    pattern : /^client-statuses$/,                        handler : () => ({ status : 200, data : clone(this.clientStatuses) }) },
+				{ verb : 'GET',    pattern : /^employees$/,                              handler : () => ({ status : 200, data : clone(this.employees) }) },
+				{ verb : 'GET',    pattern : /^products$/,                               handler : () => ({ status : 200, data : clone(Array.from(this.products.values())) }) },
+				{ verb : 'POST',   pattern : /^products$/,                               handler : this.createProduct },
+				{ verb : 'DELETE', pattern : /^products\/([^/]+)$/,                      handler : this.deleteProduct },
+				{ verb : 'GET',    pattern : /^subscriptions$/,                          handler : this.listSubscriptions },
+				{ verb : 'POST',   pattern : /^subscriptions$/,                          handler : this.createSubscription },
+				{ verb : 'GET',    pattern : /^subscriptions\/([^/]+)$/,                 handler : this.getSubscription },
+				{ verb : 'PUT',    pattern : /^subscriptions\/([^/]+)$/,                 handler : this.updateSubscription },
+				{ verb : 'DELETE', pattern : /^subscriptions\/([^/]+)$/,                 handler : this.deleteSubscription },
+			];
+		},
+
+		/**
+		 * @private
+		 */
+		takeFailure : function(request) {
+			const failure = _.find(this.failures, ({ method, path }) => (!method || method === request.method) && (!path || path.test(request.path)));
+			if (!failure) {
+				return null;
+			}
+
+			if (--failure.times <= 0) {
+				_.pull(this.failures, failure);
+			}
+			return failure;
+		},
+
+		/**
+		 * @private
+		 */
+		handleAuth : function(config, { body = {} }) {
+			if (body.username !== this.username || body.password !== this.password) {
+				return respond(config, 401, { userMessage : 'Invalid username or password' });
+			}
+
+			const token = `mock-token-${this.generateId()}`;
+			if (!this.tokenLifetime) {
+				this.tokens.set(token, Infinity);
+				return respond(config, 200, { access_token : token }); // eslint-disable-line camelcase
+			}
+
+			this.tokens.set(token, Date.now() + (this.tokenLifetime * 1000));
+			return respond(config, 200, { access_token : token, expires_in : this.tokenLifetime }); // eslint-disable-line camelcase
+		},
+
+		/**
+		 * Takes one event posted to its activity's path, or a batch of { [activity] : [ events ] } posted to the events path.
+		 * @private
+		 */
+		handleUsageEvent : function(config, { method, path, query, body }) {
+			const match = /^collector\/1\.0\.0\/projects\/([^/]+)\/events(?:\/([^/]+))?$/.exec(path);
+			if (method !== 'POST' || !match) {
+				return respond(config, 404, { message : 'Not Found' });
+			}
+
+			const [ , projectId, activity ] = match;
+			if (projectId !== `${this.eventsProjectID}` || query.api_key !== `${this.eventsAPIKey}`) {
+				return respond(config, 401, { message : 'Invalid project or API key' });
+			}
+
+			if (activity) {
+				this.usageEvents.push({ projectId, activity : decodeURIComponent(activity), payload : body });
+				return respond(config, 201, { created : true });
+			}
+
+			const results = _.mapValues(body, (payloads, batchActivity) => payloads.map(payload => {
+				this.usageEvents.push({ projectId, activity : batchActivity, payload });
+				return { success : true };
+			}));
+			return respond(config, 200, results);
+		},
+
+		/**
+		 * @private
+		 */
+		getClient : function({ params : [ clientId ] }) {
+			const client = this.clients.get(parseInt(clientId));
+			if (!client) {
+				return notFound('Client not found');
+			}
+			return { status : 200, data : clone(client) };
+		},
+
+		/**
+		 * Searching by externalId returns the single matching Client, anything else returns one page of Clients.
+		 * @private
+		 */
+		listClients : function({ query }) {
+			if ('externalId' in query) {
+				const client = _.find(Array.from(this.clients.values()), { externalId : query.externalId });
+				if (!query.externalId || !client) {
+					return notFound('Client not found');
+				}
+				return { status : 200, data : clone(client) };
+			}
+
+			const clients = _.filter(Array.from(this.clients.values()), client => _.every([ 'statusId', 'clientSegmentId', 'assignedUserId' ], filter =>
+				query[filter] === undefined || `${client[filter]}` === query[filter]
+			));
+			return { status : 200, data : clone(pageOf(clients, query)) };
+		},
+
+		/**
+		 * @private
+		 */
+		createClient : function({ body = {} }) {
+			const invalid = validateClient(body);
+			if (invalid) {
+				return invalid;
+			}
+			return { status : 200, data : clone(this.insertClient(_.omit(body, [ 'id', 'customFieldValues' ]))) };
+		},
+
+		/**
+		 * @private
+		 */
+		updateClient : function({ params : [ clientId ], body = {} }) {
+			const client = this.clients.get(parseInt(clientId));
+			if (!client) {
+				return notFound('Client not found');
+			}
+
+			const invalid = validateClient(body);
+			if (invalid) {
+				return invalid;
+			}
+
+			Object.assign(client, _.omit(body, [ 'id', 'customFieldValues' ]), { name : `${body.name}` });
+			mergeCustomFieldValues(client.customFieldValues, body.customFieldValues);
+			return { status : 200, data : clone(client) };
+		},
+
+		/**
+		 * @private
+		 */
+		deleteClient : function({ params : [ clientId ] }) {
+			const id = parseInt(clientId);
+			if (!this.clients.has(id)) {
+				return notFound('Client not found');
+			}
+
+			this.clients.delete(id);
+			this.contacts.forEach((contact, contactId) => {
+				if (contact.clientId === id) {
+					this.contacts.delete(contactId);
+				}
+			});
+			return { status : 200, data : { deleted : true } };
+		},
+
+		/**
+		 * @private
+		 */
+		createContact : function({ params : [ clientId ], body = {} }) {
+			if (!this.clients.has(parseInt(clientId))) {
+				return notFound('Client not found');
+			}
+
+			const contact = this.insertContact(Object.assign(_.omit(body, [ 'id', 'customFieldValues' ]), { clientId : parseInt(clientId) }));
+			// the real create endpoint does not return the contact's custom fields
+			return { status : 200, data : _.omit(clone(contact), 'customFieldValues') };
+		},
+
+		/**
+		 * @private
+		 */
+		listContacts : function({ params : [ clientId ], query }) {
+			if (!this.clients.has(parseInt(clientId))) {
+				return notFound('Client not found');
+			}
+
+			const contacts = _.filter(Array.from(this.contacts.values()), { clientId : parseInt(clientId) });
+			return { status : 200, data : clone(pageOf(contacts, query).map(contact => _.omit(contact, 'customFieldValues'))) };
+		},
+
+		/**
+		 * @private
+		 */
+		getContactDetails : function({ params : [ clientId, contactId ] }) {
+			const contact = this.contacts.get(parseInt(contactId));
+			if (!contact || contact.clientId !== parseInt(clientId)) {
+				// ClientSuccess answers a missing contact with a 417 rather than a 404
+				return { status : 417, data : { userMessage : 'Contact could not be found' } };
+			}
+			return { status : 200, data : clone(contact) };
+		},
+
+		/**
+		 * @private
+		 */
+		updateContact : function({ params : [ clientId, contactId ], body = {} }) {
+			const contact = this.contacts.get(parseInt(contactId));
+			if (!contact || contact.clientId !== parseInt(clientId)) {
+				return { status : 417, data : { userMessage : 'Contact could not be found' } };
+			}
+
+			Object.assign(contact, _.omit(body, [ 'id', 'clientId', 'customFieldValues' ]));
+			mergeCustomFieldValues(contact.customFieldValues, body.customFieldValues);
+			return { status : 200, data : clone(contact) };
+		},
+
+		/**
+		 * @private
+		 */
+		deleteContact : function({ params : [ clientId, contactId ] }) {
+			const contact = this.contacts.get(parseInt(contactId));
+			if (!contact || contact.clientId !== parseInt(clientId)) {
+				return notFound('Contact not found');
+			}
+
+			this.contacts.delete(contact.id);
+			return { status : 200, data : { deleted : true } };
+		},
+
+		/**
+		 * @private
+		 */
+		listInteractions : function({ params : [ clientId ], query }) {
+			if (!this.clients.has(parseInt(clientId))) {
+				return notFound('Client not found');
+			}
+
+			const interactions = _.filter(Array.from(this.interactions.values()), interaction => interaction.clientId === parseInt(clientId)
+				&& (!query.type || interaction.type === query.type)
+				&& (!query.contactId || interaction.contactIds.includes(parseInt(query.contactId))));
+			return { status : 200, data : clone(pageOf(interactions, query)) };
+		},
+
+		/**
+		 * @private
+		 */
+		createInteraction : function({ params : [ clientId ], body = {} }) {
+			if (!this.clients.has(parseInt(clientId))) {
+				return notFound('Client not found');
+			}
+
+			const invalid = this.validateInteraction(parseInt(clientId), body);
+			if (invalid) {
+				return invalid;
+			}
+			return { status : 200, data : clone(this.insertInteraction(Object.assign({}, body, { clientId }))) };
+		},
+
+		/**
+		 * @private
+		 */
+		getInteraction : function({ params : [ clientId, interactionId ] }) {
+			const interaction = this.interactions.get(parseInt(interactionId));
+			if (!interaction || interaction.clientId !== parseInt(clientId)) {
+				return notFound('Interaction not found');
+			}
+			return { status : 200, data : clone(interaction) };
+		},
+
+		/**
+		 * @private
+		 */
+		updateInteraction : function({ params : [ clientId, interactionId ], body = {} }) {
+			const interaction = this.interactions.get(parseInt(interactionId));
+			if (!interaction || interaction.clientId !== parseInt(clientId)) {
+				return notFound('Interaction not found');
+			}
+
+			const invalid = this.validateInteraction(interaction.clientId, Object.assign({}, interaction, body));
+			if (invalid) {
+				return invalid;
+			}
+
+			Object.assign(interaction, _.omit(body, [ 'id', 'clientId' ]));
+			return { status : 200, data : clone(interaction) };
+		},
+
+		/**
+		 * @private
+		 */
+		deleteInteraction : function({ params : [ clientId, interactionId ] }) {
+			const interaction = this.interactions.get(parseInt(interactionId));
+			if (!interaction || interaction.clientId !== parseInt(clientId)) {
+				return notFound('Interaction not found');
+			}
+
+			this.interactions.delete(interaction.id);
+			return { status : 200, data : { deleted : true } };
+		},
+
+		/**
+		 * Interactions need a type, and their contacts must belong to the Client.
+		 * @private
+		 */
+		validateInteraction : function(clientId, { type, contactIds = [] }) {
+			if (!type) {
+				return { status : 417, data : { userMessage : 'Interaction type is required' } };
+			}
+
+			const strangers = contactIds.filter(contactId => _.get(this.contacts.get(parseInt(contactId)), 'clientId') !== clientId);
+			if (strangers.length) {
+				return { status : 417, data : { userMessage : `Contacts ${strangers.join(', ')} do not belong to the client` } };
+			}
+			return null;
+		},
+
+		/**
+		 * @private
+		 */
+		listToDos : function({ params : [ clientId ], query }) {
+			if (!this.clients.has(parseInt(clientId))) {
+				return notFound('Client not found');
+			}
+
+			const toDos = _.filter(Array.from(this.toDos.values()), toDo => toDo.clientId === parseInt(clientId)
+				&& (!query.assignedUserId || toDo.assignedUserId === parseInt(query.assignedUserId))
+				&& (query.completed === undefined || `${toDo.completed}` === query.completed));
+			return { status : 200, data : clone(pageOf(toDos, query)) };
+		},
+
+		/**
+		 * @private
+		 */
+		createToDo : function({ params : [ clientId ], body = {} }) {
+			if (!this.clients.has(parseInt(clientId))) {
+				return notFound('Client not found');
+			}
+			if (!body.title) {
+				return { status : 417, data : { userMessage : 'To-do title is required' } };
+			}
+			return { status : 200, data : clone(this.insertToDo(Object.assign({}, body, { clientId }))) };
+		},
+
+		/**
+		 * @private
+		 */
+		getToDo : function({ params : [ clientId, toDoId ] }) {
+			const toDo = this.toDos.get(parseInt(toDoId));
+			if (!toDo || toDo.clientId !== parseInt(clientId)) {
+				return notFound('To-do not found');
+			}
+			return { status : 200, data : clone(toDo) };
+		},
+
+		/**
+		 * @private
+		 */
+		updateToDo : function({ params : [ clientId, toDoId ], body = {} }) {
+			const toDo = this.toDos.get(parseInt(toDoId));
+			if (!toDo || toDo.clientId !== parseInt(clientId)) {
+				return notFound('To-do not found');
+			}
+
+			Object.assign(toDo, _.omit(body, [ 'id', 'clientId' ]));
+			return { status : 200, data : clone(toDo) };
+		},
+
+		/**
+		 * @private
+		 */
+		deleteToDo : function({ params : [ clientId, toDoId ] }) {
+			const toDo = this.toDos.get(parseInt(toDoId));
+			if (!toDo || toDo.clientId !== parseInt(clientId)) {
+				return notFound('To-do not found');
+			}
+
+			this.toDos.delete(toDo.id);
+			return { status : 200, data : { deleted : true } };
+		},
+
+		/**
+		 * @private
+		 */
+		findContactByEmail : function({ query }) {
+			const client  = _.find(Array.from(this.clients.values()), { externalId : query.clientExternalId });
+			const contact = client && _.find(Array.from(this.contacts.values()), { clientId : client.id, email : query.email });
+			// ClientSuccess answers a search with no match with an empty 200
+			return { status : 200, data : contact ? clone(contact) : '' };
+		},
+
+		/**
+		 * @private
+		 */
+		createProduct : function({ body = {} }) {
+			if (!body.name) {
+				return { status : 417, data : { userMessage : 'Product name is required' } };
+			}
+			return { status : 200, data : clone(this.insertProduct(body)) };
+		},
+
+		/**
+		 * @private
+		 */
+		deleteProduct : function({ params : [ productId ] }) {
+			const id = parseInt(productId);
+			if (!this.products.has(id)) {
+				return notFound('Product not found');
+			}
+
+			this.products.delete(id);
+			return { status : 200, data : { deleted : true } };
+		},
+
+		/**
+		 * @private
+		 */
+		listSubscriptions : function({ query }) {
+			const clientId = parseInt(query.clientId);
+			return { status : 200, data : clone(_.filter(Array.from(this.subscriptions.values()), { clientId })) };
+		},
+
+		/**
+		 * @private
+		 */
+		getSubscription : function({ params : [ subscriptionId ] }) {
+			const subscription = this.subscriptions.get(parseInt(subscriptionId));
+			if (!subscription) {
+				return notFound('Subscription not found');
+			}
+			return { status : 200, data : clone(subscription) };
+		},
+
+		/**
+		 * @private
+		 */
+		createSubscription : function({ body = {} }) {
+			if (!this.clients.has(parseInt(body.clientId))) {
+				return notFound('Client not found');
+			}
+			if (!this.products.has(parseInt(body.productId))) {
+				return { status : 417, data : { userMessage : 'A valid productId is required' } };
+			}
+			return { status : 200, data : clone(this.insertSubscription(body)) };
+		},
+
+		/**
+		 * @private
+		 */
+		updateSubscription : function({ params : [ subscriptionId ], body = {} }) {
+			const subscription = this.subscriptions.get(parseInt(subscriptionId));
+			if (!subscription) {
+				return notFound('Subscription not found');
+			}
+
+			Object.assign(subscription, _.omit(body, [ 'id', 'clientId' ]));
+			return { status : 200, data : clone(subscription) };
+		},
+
+		/**
+		 * @private
+		 */
+		deleteSubscription : function({ params : [ subscriptionId ] }) {
+			const id = parseInt(subscriptionId);
+			if (!this.subscriptions.has(id)) {
+				// ClientSuccess reports a failed subscription delete in a 200 body
+				return { status : 200, data : { error : 'Subscription not found' } };
+			}
+
+			this.subscriptions.delete(id);
+			return { status : 200, data : { deleted : true } };
+		},
+
+		/**
+		 * @private
+		 */
+		insertClient : function(attributes) {
+			const client = Object.assign({
+				id                : this.generateId(),
+				name              : null,
+				externalId        : null,
+				statusId          : 1,
+				clientSegmentId   : null,
+				assignedUserId    : null,
+				createdDate       : new Moment().toISOString(),
+				customFieldValues : buildCustomFieldValues(this.customFields.client),
+			}, _.omit(attributes, 'customFieldValues'));
+
+			client.name = `${client.name}`;
+			mergeCustomFieldValues(client.customFieldValues, attributes.customFieldValues);
+			this.clients.set(client.id, client);
+			return client;
+		},
+
+		/**
+		 * @private
+		 */
+		insertContact : function(attributes) {
+			const contact = Object.assign({
+				id                : this.generateId(),
+				clientId          : null,
+				firstName         : null,
+				lastName          : null,
+				email             : null,
+				title             : null,
+				phone             : null,
+				customFieldValues : buildCustomFieldValues(this.customFields.contact),
+			}, _.omit(attributes, 'customFieldValues'));
+
+			mergeCustomFieldValues(contact.customFieldValues, attributes.customFieldValues);
+			this.contacts.set(contact.id, contact);
+			return contact;
+		},
+
+		/**
+		 * @private
+		 */
+		insertProduct : function(attributes) {
+			const product = Object.assign({ id : this.generateId(), name : null, recurring : true, active : true }, attributes);
+			this.products.set(product.id, product);
+			return product;
+		},
+
+		/**
+		 * @private
+		 */
+		insertSubscription : function(attributes) {
+			const subscription = Object.assign({
+				id              : this.generateId(),
+				isRecurring     : true,
+				isPotential     : false,
+				autoRenew       : false,
+				amount          : 0,
+				quantity        : 1,
+				startDate       : null,
+				endDate         : null,
+				terminationDate : null,
+				renewedDate     : null,
+			}, attributes);
+
+			subscription.clientId  = parseInt(subscription.clientId);
+			subscription.productId = parseInt(subscription.productId);
+			this.subscriptions.set(subscription.id, subscription);
+			return subscription;
+		},
+
+		/**
+		 * @private
+		 */
+		insertInteraction : function(attributes) {
+			const interaction = Object.assign({
+				id           : this.generateId(),
+				clientId     : null,
+				type         : null,
+				subject      : null,
+				note         : null,
+				occurredDate : new Moment().toISOString(),
+				contactIds   : [],
+				createdDate  : new Moment().toISOString(),
+			}, attributes);
+
+			interaction.clientId   = parseInt(interaction.clientId);
+			interaction.contactIds = interaction.contactIds.map(contactId => parseInt(contactId));
+			this.interactions.set(interaction.id, interaction);
+			return interaction;
+		},
+
+		/**
+		 * @private
+		 */
+		insertToDo : function(attributes) {
+			const toDo = Object.assign({
+				id             : this.generateId(),
+				clientId       : null,
+				title          : null,
+				description    : null,
+				assignedUserId : null,
+				dueDate        : null,
+				priority       : 'Medium',
+				completed      : false,
+				completedDate  : null,
+				createdDate    : new Moment().toISOString(),
+			}, attributes);
+
+			toDo.clientId = parseInt(toDo.clientId);
+			if (toDo.assignedUserId !== null) {
+				toDo.assignedUserId = parseInt(toDo.assignedUserId);
+			}
+			this.toDos.set(toDo.id, toDo);
+			return toDo;
+		},
+
+		/**
+		 * @private
+		 */
+		generateId : function() {
+			return this.nextId++;
+		},
+	},
+});
+
+/**
+ * Deep copy a JSON payload, as if it had gone over the wire.
+ */
+function clone(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Slice out the page of records asked for by the page (1-based) and pageSize query parameters, in ID order.
+ */
+function pageOf(records, { page = 1, pageSize = 100 }) {
+	const start = (parseInt(page) - 1) * parseInt(pageSize);
+	return _.sortBy(records, 'id').slice(start, start + parseInt(pageSize));
+}
+
+function notFound(userMessage) {
+	return { status : 404, data : { userMessage } };
+}
+
+/**
+ * Settle a request the way axios does: resolve for 2xx, reject with error.response otherwise.
+ */
+function respond(config, status, data, headers = {}) {
+	const response = { status, statusText : `${status}`, headers, data, config };
+	if (status >= 200 && status < 300) {
+		return Promise.resolve(response);
+	}
+
+	const error    = new Error(`Request failed with status code ${status}`);
+	error.config   = config;
+	error.response = response;
+	return Promise.reject(error);
+}
+
+function validateClient(attributes) {
+	if (attributes.name === undefined || attributes.name === null || attributes.name === '') {
+		return { status : 417, data : { userMessage : 'Client name is required' } };
+	}
+	if (attributes.statusId !== undefined && attributes.statusId !== null && isNaN(parseInt(attributes.statusId))) {
+		return { status : 417, data : { userMessage : 'Invalid statusId' } };
+	}
+	return null;
+}
+
+function buildCustomFieldValues(definitions) {
+	return definitions.map(({ id, key, label, type }) => ({ id, customFieldId : id, key, label, type, value : null }));
+}
+
+/**
+ * Copy values from an incoming customFieldValues array onto the stored one, matching on customFieldId or label.
+ */
+function mergeCustomFieldValues(stored, incoming) {
+	_.forEach(incoming, function(incomingValue) {
+		const storedValue = _.find(stored, value => value.customFieldId === incomingValue.customFieldId || value.label === incomingValue.label);
+		if (storedValue) {
+			storedValue.value = incomingValue.value;
+		}
+	});
+}
@@ -0,0 +1,189 @@
+const JS            = require('@roadmunk/jsclass');
+const fs            = require('fs');
+const { promisify } = require('util');
+
+const appendFile = promisify(fs.appendFile);
+const readFile   = promisify(fs.readFile);
+const writeFile  = promisify(fs.writeFile);
+
+const Outbox      = module.exports = JS.class('Outbox');
+const FileStore   = Outbox.FileStore = JS.class('FileStore');
+const MemoryStore = Outbox.MemoryStore = JS.class('MemoryStore');
+
+/**
+ * Requests that couldn't be sent while ClientSuccess was unavailable, kept in the order they were made until they are replayed.
+ * Every entry has an id, also sent as its Idempotency-Key header. add() ignores an entry whose id is already waiting, which
+ * stops the same entry from being kept twice, not the request it holds from being applied twice.
+ */
+JS.class(Outbox, {
+	fields : {
+		store   : null,
+		entries : null,
+		loading : null,
+	},
+
+	/**
+	 * @param {Object} [options]
+	 * @param {String} [options.path]  - File to keep entries in, so they survive a restart
+	 * @param {Object} [options.store] - Where entries are kept, see MemoryStore for the interface. Defaults to a FileStore
+	 *                                   at path, or to memory when there is no path
+	 */
+	constructor : function({ path, store = path ? new FileStore(path) : new MemoryStore() } = {}) {
+		this.store = store;
+	},
+
+	methods : {
+		/**
+		 * @param  {Object}  entry    - { id, ... }
+		 * @return Promise<Boolean>   - false if an entry with the same id is already waiting
+		 */
+		add : async function(entry) {
+			const entries = await this.load();
+			if (entries.has(entry.id)) {
+				return false;
+			}
+
+			entries.set(entry.id, entry);
+			await this.store.append(entry);
+			return true;
+		},
+
+		/**
+		 * @return Promise<Object[]> - Entries waiting to be replayed, oldest first
+		 */
+		pending : async function() {
+			return Array.from((await this.load()).values());
+		},
+
+		/**
+		 * @param {String} id
+		 */
+		remove : async function(id) {
+			const entries = await this.load();
+			if (entries.delete(id)) {
+				await this.store.remove(id);
+			}
+		},
+
+		/**
+		 * Read the store once, keeping its entries in memory from then on.
+		 * @private
+		 */
+		load : function() {
+			if (!this.loading) {
+				this.loading = Promise.resolve(this.store.load()).then(entries => new Map(entries.map(entry => [ entry.id, entry ])));
+			}
+			return this.loading;
+		},
+	},
+});
+
+/**
+ * Append-only file of entries, one JSON line per entry added or removed. The file is emptied once no entries are left.
+ * A line left half-written by a crash is skipped when the file is read, and ended so the next entry gets a line of its own.
+ */
+JS.class(FileStore, {
+	fields : {
+		path    : null,
+		ids     : null,
+		writing : null,
+	},
+
+	/**
+	 * @param {String} path
+	 */
+	constructor : function(path) {
+		this.path    = path;
+		this.ids     = new Set();
+		this.writing = Promise.resolve();
+	},
+
+	methods : {
+		load : async function() {
+			let contents = '';
+			try {
+				contents = await readFile(this.path, 'utf8');
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT') {
+					throw error;
+				}
+			}
+
+			const entries = new Map();
+			contents.split('\n').forEach(line => {
+				let record;
+				try {
+					record = JSON.parse(line);
+				}
+				catch (error) {
+					return;
+				}
+
+				if (record.add) {
+					entries.set(record.add.id, record.add);
+				}
+				else if (record.remove) {
+					entries.delete(record.remove);
+				}
+			});
+
+			if (contents && !contents.endsWith('\n')) {
+				await this.write(() => appendFile(this.path, '\n'));
+			}
+
+			this.ids = new Set(entries.keys());
+			return Array.from(entries.values());
+		},
+
+		append : function(entry) {
+			this.ids.add(entry.id);
+			return this.write(() => appendFile(this.path, `${JSON.stringify({ add : entry })}\n`));
+		},
+
+		remove : function(id) {
+			this.ids.delete(id);
+			return this.write(() => (this.ids.size ? appendFile(this.path, `${JSON.stringify({ remove : id })}\n`) : writeFile(this.path, '')));
+		},
+
+		/**
+		 * Writes happen one at a time, in the order they were asked for.
+		 * @private
+		 */
+		write : function(write) {
+			this.writing = this.writing.catch(() => {}).then(write);
+			return this.writing;
+		},
+	},
+});
+
+/**
+ * In-process store for Outbox entries, which are lost when the process exits; FileStore keeps them across restarts.
+ * The Outbox calls load() once for the entries oldest first, then append() and remove() as entries come and go.
+ */
+JS.class(MemoryStore, {
+	fields : {
+		entries : null,
+	},
+
+	constructor : function() {
+		this.entries = new Map();
+	},
+
+	methods : {
+		/**
+		 * @return {Object[]} - Entries oldest first
+		 */
+		load : function() {
+			return Array.from(this.entries.values());
+		},
+
+		append : function(entry) {
+			this.entries.set(entry.id, entry);
+		},
+
+		remove : function(id) {
+			this.entries.delete(id);
+		},
+	},
+});
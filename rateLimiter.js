@@ -0,0 +1,162 @@
+const JS = require('@roadmunk/jsclass');
+
+const RateLimiter = module.exports = JS.class('RateLimiter');
+const MemoryStore = RateLimiter.MemoryStore = JS.class('MemoryStore');
+
+const SLOT_POLL_INTERVAL = 10;	// milliseconds between attempts to get an in-flight slot when all are taken
+
+/**
+ * Token bucket rate limiter for ClientSuccess requests.
+ * Share one RateLimiter between ClientSuccessClient instances to limit them together, or give
+ * several RateLimiters (e.g. in different processes) the same store and key to coordinate them through it.
+ */
+JS.class(RateLimiter, {
+	fields : {
+		key           : null,
+		store         : null,
+		buckets       : null,
+		maxConcurrent : null,
+	},
+
+	/**
+	 * @param {Object} [options]
+	 * @param {Number} [options.perSecond]               - Maximum requests started in any one second
+	 * @param {Number} [options.perMinute]               - Maximum requests started in any one minute
+	 * @param {Number} [options.maxConcurrent]           - Maximum requests in flight at once
+	 * @param {Object} [options.store=new MemoryStore()] - Where bucket and in-flight state is kept, see MemoryStore for the interface
+	 * @param {String} [options.key='clientsuccess']     - Namespace of this limiter's state in the store
+	 */
+	constructor : function({ perSecond, perMinute, maxConcurrent, store = new MemoryStore(), key = 'clientsuccess' } = {}) {
+		this.key           = key;
+		this.store         = store;
+		this.maxConcurrent = maxConcurrent;
+		this.buckets       = [];
+
+		if (perSecond) {
+			this.buckets.push({ name : 'second', capacity : perSecond, intervalMs : 1000 });
+		}
+		if (perMinute) {
+			this.buckets.push({ name : 'minute', capacity : perMinute, intervalMs : 60000 });
+		}
+	},
+
+	methods : {
+		/**
+		 * Run a request once every limit allows it, holding an in-flight slot until it settles.
+		 * @param  {Function} request - Function starting the request and returning a Promise
+		 * @return Promise<*>         - Whatever the request resolves or rejects with
+		 */
+		schedule : async function(request) {
+			await this.acquire();
+			try {
+				return await request();
+			}
+			finally {
+				await this.release();
+			}
+		},
+
+		/**
+		 * Wait for a token from every bucket, then for an in-flight slot.
+		 * Every acquire() must be followed by a release().
+		 */
+		acquire : async function() {
+			for (const { name, capacity, intervalMs } of this.buckets) {
+				let wait;
+				while ((wait = await this.store.consume(`${this.key}:${name}`, capacity, intervalMs)) > 0) {
+					await delay(wait);
+				}
+			}
+
+			if (this.maxConcurrent) {
+				while (!(await this.store.acquireSlot(`${this.key}:inflight`, this.maxConcurrent))) {
+					await delay(SLOT_POLL_INTERVAL);
+				}
+			}
+		},
+
+		/**
+		 * Give back the in-flight slot taken by acquire().
+		 */
+		release : async function() {
+			if (this.maxConcurrent) {
+				await this.store.releaseSlot(`${this.key}:inflight`);
+			}
+		},
+	},
+});
+
+/**
+ * In-process store for RateLimiter state: a token bucket per key for consume(), and a count of requests in flight per key
+ * for acquireSlot() and releaseSlot(). Limiters in several processes only keep to one limit between them if their store
+ * checks and updates a bucket or a count in one step, as a Redis script would. The limiter awaits every call.
+ */
+JS.class(MemoryStore, {
+	fields : {
+		buckets  : null,
+		inFlight : null,
+		now      : null,
+	},
+
+	/**
+	 * @param {Object}   [options]
+	 * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+	 */
+	constructor : function({ now = Date.now } = {}) {
+		this.buckets  = new Map();
+		this.inFlight = new Map();
+		this.now      = now;
+	},
+
+	methods : {
+		/**
+		 * Take one token from a bucket that refills continuously at capacity tokens per intervalMs.
+		 * @param  {String} key
+		 * @param  {Number} capacity   - Tokens the bucket holds when full
+		 * @param  {Number} intervalMs - Time for an empty bucket to refill completely
+		 * @return {Number}            - 0 if a token was taken, else milliseconds until one will be available
+		 */
+		consume : function(key, capacity, intervalMs) {
+			const now    = this.now();
+			const bucket = this.buckets.get(key) || { tokens : capacity, updatedAt : now };
+
+			bucket.tokens    = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * capacity / intervalMs));
+			bucket.updatedAt = now;
+			this.buckets.set(key, bucket);
+
+			if (bucket.tokens >= 1) {
+				bucket.tokens--;
+				return 0;
+			}
+			return Math.ceil((1 - bucket.tokens) * intervalMs / capacity);
+		},
+
+		/**
+		 * Take an in-flight slot if fewer than max are taken.
+		 * @param  {String}  key
+		 * @param  {Number}  max
+		 * @return {Boolean} - Whether a slot was taken
+		 */
+		acquireSlot : function(key, max) {
+			const taken = this.inFlight.get(key) || 0;
+			if (taken >= max) {
+				return false;
+			}
+
+			this.inFlight.set(key, taken + 1);
+			return true;
+		},
+
+		/**
+		 * Give back an in-flight slot.
+		 * @param {String} key
+		 */
+		releaseSlot : function(key) {
+			this.inFlight.set(key, Math.max(0, (this.inFlight.get(key) || 0) - 1));
+		},
+	},
+});
+
+function delay(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
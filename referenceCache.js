@@ -0,0 +1,132 @@
+const JS = require('@roadmunk/jsclass');
+
+const ReferenceCache = module.exports = JS.class('ReferenceCache');
+const MemoryStore    = ReferenceCache.MemoryStore = JS.class('MemoryStore');
+
+const DEFAULT_TTL = 10 * 60 * 1000;	// milliseconds reference data is served without being reloaded
+
+/**
+ * Read-through cache for reference data that rarely changes, like client segments and products.
+ * Entries are reloaded once they are older than the TTL. With staleWhileRevalidate, an expired entry is still
+ * returned while it is reloaded in the background. Give several caches the same store to share entries between them.
+ */
+JS.class(ReferenceCache, {
+	fields : {
+		ttl                  : DEFAULT_TTL,
+		staleWhileRevalidate : true,
+		store                : null,
+		now                  : null,
+		loading              : null,
+	},
+
+	/**
+	 * @param {Object}   [options]
+	 * @param {Number}   [options.ttl=600000]                - Milliseconds an entry is fresh for
+	 * @param {Boolean}  [options.staleWhileRevalidate=true] - Return expired entries while reloading them in the background
+	 * @param {Object}   [options.store=new MemoryStore()]   - Where entries are kept, see MemoryStore for the interface
+	 * @param {Function} [options.now=Date.now]              - Clock, in milliseconds
+	 */
+	constructor : function({ ttl = DEFAULT_TTL, staleWhileRevalidate = true, store = new MemoryStore(), now = Date.now } = {}) {
+		this.ttl                  = ttl;
+		this.staleWhileRevalidate = staleWhileRevalidate;
+		this.store                = store;
+		this.now                  = now;
+		this.loading              = new Map();
+	},
+
+	methods : {
+		/**
+		 * Get a cached value, loading it when there is none or it has expired.
+		 * While a key is loading, further gets of it wait for that load instead of calling load again.
+		 * @param  {String}   key
+		 * @param  {Function} load - Returns a Promise of the value
+		 * @return Promise<*>
+		 */
+		get : async function(key, load) {
+			const entry = await this.store.get(key);
+
+			if (entry && this.now() - entry.storedAt < this.ttl) {
+				return entry.value;
+			}
+
+			if (entry && this.staleWhileRevalidate) {
+				this.load(key, load).catch(() => {}); // the stale value is still good enough, try again next time
+				return entry.value;
+			}
+
+			return this.load(key, load);
+		},
+
+		/**
+		 * Forget a cached value so the next get() loads it again.
+		 * @param {String} key
+		 */
+		invalidate : async function(key) {
+			this.loading.delete(key);
+			await this.store.delete(key);
+		},
+
+		/**
+		 * @private
+		 */
+		load : function(key, load) {
+			if (!this.loading.has(key)) {
+				const loading = Promise.resolve()
+					.then(load)
+					.then(async value => {
+						// an invalidate() while loading means the value may already be out of date
+						if (this.loading.get(key) === loading) {
+							await this.store.set(key, { value, storedAt : this.now() });
+						}
+						return value;
+					})
+					.finally(() => {
+						if (this.loading.get(key) === loading) {
+							this.loading.delete(key);
+						}
+					});
+				this.loading.set(key, loading);
+			}
+			return this.loading.get(key);
+		},
+	},
+});
+
+/**
+ * In-process store for ReferenceCache entries, which are { value, storedAt }. get() answers null for a key it doesn't
+ * have. The cache awaits get(), set() and delete(), so a store outside the process can answer asynchronously.
+ */
+JS.class(MemoryStore, {
+	fields : {
+		entries    : null,
+		maxEntries : Infinity,
+	},
+
+	/**
+	 * @param {Object} [options]
+	 * @param {Number} [options.maxEntries=Infinity] - Entries kept at most, the least recently set are dropped first
+	 */
+	constructor : function({ maxEntries = Infinity } = {}) {
+		this.entries    = new Map();
+		this.maxEntries = maxEntries;
+	},
+
+	methods : {
+		get : function(key) {
+			return this.entries.get(key) || null;
+		},
+
+		set : function(key, entry) {
+			// re-inserting keeps the Map in the order entries were set, oldest first
+			this.entries.delete(key);
+			this.entries.set(key, entry);
+			while (this.entries.size > this.maxEntries) {
+				this.entries.delete(this.entries.keys().next().value);
+			}
+		},
+
+		delete : function(key) {
+			this.entries.delete(key);
+		},
+	},
+});
@@ -1,5 +0,0 @@
-// config for tests; copy to config.js (which is git and npm ignored)
-module.exports = {
-	username : '',		// your clientSuccess username
-	password : '',		// your clientSuccess password
-};
@@ -4,8 +4,17 @@ const ClientSuccess = require('../clientSuccessClient');
 const chai          = require('chai');
 const expect        = require('chai').expect;
 const Moment        = require('moment');
-
-const config = require('./config');
+const _             = require('lodash');
+const fs            = require('fs');
+const os            = require('os');
+const path          = require('path');
+
+const config = {
+	username        : 'test-user',
+	password        : 'test-password',
+	eventsProjectID : 'test-project',
+	eventsAPIKey    : 'test-api-key',
+};
 
 chai.use(require('chai-as-promised'));
 
@@ -21,12 +30,40 @@ describe('clientSuccessClient', function() {
 	// array for all users we have created through our tests
 	const createdTestUsers = [];
 
-	// initialize ClientSuccess
-	const CS = new ClientSuccess(config.username, config.password, config.eventsProjectID, config.eventsAPIKey);
+	// in-memory ClientSuccess seeded with the records the tests below rely on
+	const server = new ClientSuccess.MockServer(config).seed({
+		clients : [
+			{ id : 90267712, name : 'RC Test Client' },
+			{ id : 90273708, name : 'RC Usage Client' },
+			{ id : 90280083, name : 'RC Subscription Client' },
+		],
+		contacts : [
+			{ id : 8700478, clientId : 90273708, firstName : 'RC', lastName : 'Usage Contact' },
+		],
+		products : [
+			{ id : 7746, name : 'DNE' },
+			{ id : 7747, name : 'Collaborators' },
+		],
+		subscriptions : [
+			{ id : 5500, clientId : 90280083, productId : 7747, startDate : '2018-05-25', endDate : '2019-05-24' },
+			{ id : 5501, clientId : 90280083, productId : 7747, startDate : '2019-05-25', endDate : '2020-05-24', isPotential : true },
+		],
+	});
+	const transport = server.transport;
+
+	// initialize ClientSuccess, without waiting between retries
+	const CS = new ClientSuccess(config.username, config.password, config.eventsProjectID, config.eventsAPIKey, { transport, retry : { baseDelay : 0 } });
+
+	// a client with options of its own for a test, also without waiting between retries, and only sending queued activity on flush()
+	const newClient = (options = {}) => new ClientSuccess(config.username, config.password, config.eventsProjectID, config.eventsAPIKey, Object.assign(
+		{ transport, retry : { baseDelay : 0 } },
+		options,
+		{ usageBuffer : Object.assign({ flushInterval : 0, flushOnExit : false }, options.usageBuffer) }
+	));
 
 	describe('authenticate', function() {
 		it('should be able to authenticate', async function() {
-			const client = new ClientSuccess(config.username, config.password);
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, { transport });
 
 			await client.authenticate(); // force client to authenticate with ClientSuccess
 
@@ -34,7 +71,7 @@ describe('clientSuccessClient', function() {
 		});
 
 		it('should throw an error when given bad credentials', async function() {
-			const client = new ClientSuccess('wrong', 'wrong'); // wrong combo
+			const client = new ClientSuccess('wrong', 'wrong', undefined, undefined, { transport }); // wrong combo
 			return expect(client.authenticate()).to.eventually.be.rejectedWith({ status : 401 });
 		});
 	});
@@ -48,6 +85,726 @@ describe('clientSuccessClient', function() {
 
 			return expect(testClient.name).to.equal('RC Test Client');
 		});
+
+		it('should re-authenticate when the server expires every token', async function() {
+			await CS.getClient(90267712);
+			server.expireTokens();
+
+			const testClient = await CS.getClient(90267712);
+
+			expect(testClient.name).to.equal('RC Test Client');
+		});
+
+		it('should surface a 503 when ClientSuccess is unavailable', async function() {
+			server.setAvailable(false);
+			try {
+				await expect(CS.getClient(90267712)).to.be.rejected.and.eventually.include({ status : 503 });
+			}
+			finally {
+				server.setAvailable(true);
+			}
+		});
+	});
+
+	describe('constructor options', function() {
+		const capture = requests => requestConfig => {
+			requests.push(requestConfig);
+			return transport(requestConfig);
+		};
+
+		it('should accept a single options object', async function() {
+			const client = new ClientSuccess(Object.assign({ transport }, config));
+
+			await client.trackActivity({ clientID : 90273708, activity : 'Login' });
+
+			expect(client.username).to.equal(config.username);
+			expect(_.last(server.usageEvents).projectId).to.equal(config.eventsProjectID);
+		});
+
+		it('should read credentials from environment variables that are left out', async function() {
+			const env = {
+				CLIENTSUCCESS_USERNAME          : config.username,
+				CLIENTSUCCESS_PASSWORD          : config.password,
+				CLIENTSUCCESS_EVENTS_PROJECT_ID : config.eventsProjectID,
+				CLIENTSUCCESS_EVENTS_API_KEY    : 'from-env',
+			};
+			const client = new ClientSuccess({ transport, env, eventsAPIKey : config.eventsAPIKey });
+
+			expect((await client.getClient(90267712)).name).to.equal('RC Test Client');
+			expect(client).to.include({ eventsProjectID : config.eventsProjectID, eventsAPIKey : config.eventsAPIKey });
+		});
+
+		it('should send requests to the configured base and collector URLs', async function() {
+			const client = new ClientSuccess(Object.assign({
+				transport,
+				baseURL      : 'http://localhost:8080/v1',
+				collectorURL : 'http://localhost:8080/collector/1.0.0/',
+			}, config));
+			const requestCount = server.requests.length;
+
+			await client.trackActivity({ clientID : 90273708, activity : 'Login' });
+
+			const requests = server.requests.slice(requestCount);
+			expect(_.map(requests, 'host')).to.deep.equal([ 'localhost:8080', 'localhost:8080', 'localhost:8080' ]);
+			expect(_.map(requests, 'path')).to.deep.equal([ 'auth', 'clients/90273708', 'collector/1.0.0/projects/test-project/events/Login' ]);
+		});
+
+		it('should add the timeout, proxy, agents and User-Agent to every request', async function() {
+			const requests   = [];
+			const httpsAgent = {};
+			const proxy      = { host : 'proxy.local', port : 3128 };
+			const client     = new ClientSuccess(Object.assign({ transport : capture(requests), timeout : 2000, userAgent : 'test-suite/1.0', proxy, httpsAgent }, config));
+
+			await client.getClient(90267712);
+			await client.trackActivity({ clientID : 90273708, activity : 'Login' });
+
+			requests.forEach(request => {
+				expect(request).to.include({ timeout : 2000, proxy, httpsAgent });
+				expect(request.headers['User-Agent']).to.equal('test-suite/1.0');
+			});
+			expect(requests[1].headers.Authorization).to.equal(client.authToken);
+		});
+
+		it('should identify itself with the package name and version by default', async function() {
+			const requests = [];
+			const client   = new ClientSuccess(config.username, config.password, undefined, undefined, { transport : capture(requests) });
+
+			await client.authenticate();
+
+			expect(requests[0].headers['User-Agent']).to.match(/^@roadmunk\/client-success-client\/\d+\.\d+\.\d+$/);
+		});
+
+		it('should tell the logger about retries', async function() {
+			const retries = [];
+			const logger  = { debug : _.noop, info : (message, fields) => retries.push(fields), warn : _.noop, error : _.noop };
+			const client  = new ClientSuccess(Object.assign({ transport, logger, retry : { baseDelay : 0 } }, config));
+			server.failNext({ status : 503, path : /^clients\/90267712$/ });
+
+			await client.getClient(90267712);
+
+			expect(retries).to.deep.equal([ { namespace : 'clientsuccess:http', method : 'GET', path : 'clients/90267712', attempt : 2, maxAttempts : 10, status : 503 } ]);
+		});
+	});
+
+	describe('logging', function() {
+		let entries;
+		const logger = _.mapValues({ debug : null, info : null, warn : null, error : null }, (value, level) => (message, fields) => entries.push({ level, message, fields }));
+
+		beforeEach(function() {
+			entries = [];
+		});
+
+		afterEach(function() {
+			server.failures = [];
+		});
+
+		it('should log every request and response under the auth, http and usage namespaces', async function() {
+			const client = new ClientSuccess(Object.assign({ transport, logger }, config));
+
+			await client.trackActivity({ clientID : 90273708, activity : 'Login' });
+
+			const requests = entries.filter(({ fields }) => fields.status === undefined && fields.url);
+			expect(requests.map(({ fields }) => [ fields.namespace, fields.method, fields.path ])).to.deep.equal([
+				[ 'clientsuccess:auth', 'POST', 'auth' ],
+				[ 'clientsuccess:http', 'GET', 'clients/90273708' ],
+				[ 'clientsuccess:usage', 'POST', 'projects/test-project/events/Login' ],
+			]);
+			expect(_.find(entries, { message : 'GET clients/90273708 200' }).fields).to.include({ status : 200, attempt : 1 }).and.have.property('duration');
+		});
+
+		it('should log failures and re-authentication', async function() {
+			const client = new ClientSuccess(Object.assign({ transport, logger, retry : { baseDelay : 0 } }, config));
+			await client.authenticate();
+			server.expireTokens();
+
+			await client.getClient(90267712);
+
+			expect(_.filter(entries, { level : 'warn' }).map(({ fields }) => fields.status)).to.deep.equal([ 401 ]);
+			expect(_.find(entries, { level : 'info' }).fields).to.include({ namespace : 'clientsuccess:auth', path : 'clients/90267712' });
+		});
+
+		it('should never log the password, access tokens or the usage API key', async function() {
+			const client = new ClientSuccess(Object.assign({ transport, logger }, config));
+			server.failNext({ status : 500, path : /events/ });
+
+			await client.trackActivity({ clientID : 90273708, activity : 'Login' }).catch(_.noop);
+
+			const logged = JSON.stringify(entries);
+			expect(logged).to.not.include(config.password).and.not.include(client.authToken).and.not.include(config.eventsAPIKey);
+			expect(_.find(entries, { message : 'POST auth' }).fields.body).to.deep.equal({ username : config.username, password : '[REDACTED]' });
+			expect(_.find(entries, { message : 'GET clients/90273708' }).fields.headers.Authorization).to.equal('[REDACTED]');
+			expect(_.find(entries, { message : 'POST projects/test-project/events/Login' }).fields.url).to.match(/\?api_key=\[REDACTED\]$/);
+		});
+
+		it('should call a pino-style logger with the fields first', async function() {
+			const logged = [];
+			const pino   = { debug : (fields, message) => logged.push({ fields, message }), info : _.noop, warn : _.noop, error : _.noop };
+			const client = new ClientSuccess(Object.assign({ transport, logger : pino, logFieldsFirst : true }, config));
+
+			await client.getClient(90267712);
+
+			expect(_.find(logged, { message : 'GET clients/90267712 200' }).fields).to.include({ namespace : 'clientsuccess:http', status : 200 });
+		});
+	});
+
+	describe('middleware', function() {
+		afterEach(function() {
+			server.failures = [];
+		});
+
+		it('should see logins, API calls and usage events before and after they are sent', async function() {
+			const seen   = [];
+			const client = newClient({ middleware : [ {
+				beforeRequest : ({ method, path, attempt }) => {
+					seen.push([ 'before', method, path, attempt ]);
+				},
+				afterResponse : ({ method, path, status, duration }) => {
+					expect(duration).to.be.a('number');
+					seen.push([ 'after', method, path, status ]);
+				},
+			} ] });
+
+			await client.trackActivity({ clientID : 90273708, activity : 'Login' });
+
+			expect(seen).to.deep.equal([
+				[ 'before', 'POST', 'auth', 1 ],
+				[ 'after', 'POST', 'auth', 200 ],
+				[ 'before', 'GET', 'clients/90273708', 1 ],
+				[ 'after', 'GET', 'clients/90273708', 200 ],
+				[ 'before', 'POST', 'projects/test-project/events/Login', 1 ],
+				[ 'after', 'POST', 'projects/test-project/events/Login', 201 ],
+			]);
+		});
+
+		it('should send the request as changed by beforeRequest', async function() {
+			const client = newClient().use({
+				beforeRequest : ({ method, path, request, body }) => {
+					if (method !== 'POST' || path !== 'clients') {
+						return;
+					}
+					expect(body).to.deep.equal({ name : 'Middleware Client' });
+					request.headers['X-Trace-Id'] = 'trace-1';
+					request.data = Object.assign({}, body, { name : 'Renamed by middleware' });
+				},
+			});
+
+			const created = await client.createClient({ name : 'Middleware Client' });
+
+			expect(created.name).to.equal('Renamed by middleware');
+			expect(_.find(server.requests, { method : 'POST', path : 'clients', body : { name : 'Renamed by middleware' } }).headers['X-Trace-Id']).to.equal('trace-1');
+			await CS.deleteClient(created.id);
+		});
+
+		it('should not send a request that beforeRequest answered', async function() {
+			const cached = { status : 200, data : { id : 90267712, name : 'Cached Client' } };
+			const client = newClient({ middleware : [
+				{ beforeRequest : ({ method, path }) => (method === 'GET' && path === 'clients/90267712' ? cached : undefined) },
+				{ beforeRequest : () => expect.fail('later beforeRequest hooks should be skipped') },
+			] });
+			client.authToken = 'unused-token';
+			const requestCount = server.requests.length;
+
+			expect((await client.getClient(90267712)).name).to.equal('Cached Client');
+			expect(server.requests.length).to.equal(requestCount);
+		});
+
+		it('should return the response given back by afterResponse', async function() {
+			const client = newClient({ middleware : [ {
+				afterResponse : ({ path, response }) => (path === 'clients/90267712' ? Object.assign({}, response, { data : { name : 'Replaced' } }) : undefined),
+			} ] });
+
+			expect((await client.getClient(90267712)).name).to.equal('Replaced');
+		});
+
+		it('should report failures to onError and retries to onRetry', async function() {
+			const errors  = [];
+			const retries = [];
+			const client  = newClient({ middleware : [ {
+				onError : ({ path, status, error, attempt }) => errors.push({ path, status, attempt, isCustomError : error instanceof ClientSuccess.CustomError }),
+				onRetry : ({ path, status, attempt, reason }) => retries.push({ path, status, attempt, reason }),
+			} ] });
+			await client.authenticate();
+			server.expireTokens();
+			server.failNext({ status : 503, path : /^clients\/90267712$/ });
+
+			await client.getClient(90267712);
+
+			expect(errors).to.deep.equal([
+				{ path : 'clients/90267712', status : 503, attempt : 1, isCustomError : true },
+				{ path : 'clients/90267712', status : 401, attempt : 2, isCustomError : true },
+			]);
+			expect(retries).to.deep.equal([
+				{ path : 'clients/90267712', status : 503, attempt : 1, reason : 'retry' },
+				{ path : 'clients/90267712', status : 401, attempt : 2, reason : 'reauthenticate' },
+			]);
+		});
+
+		it('should reject with an error thrown by middleware without retrying', async function() {
+			const client = newClient({ middleware : [ { beforeRequest : ({ path }) => {
+				if (path !== 'auth') {
+					throw new Error('blocked by middleware');
+				}
+			} } ] });
+			await client.authenticate();
+			const requestCount = server.requests.length;
+
+			await expect(client.getClient(90267712)).to.be.rejectedWith(Error, 'blocked by middleware');
+			expect(server.requests.length).to.equal(requestCount);
+		});
+	});
+
+	describe('token lifecycle', function() {
+		const authRequestsSince = requestCount => server.requests.slice(requestCount).filter(request => request.path === 'auth');
+
+		it('should share one login between concurrent requests', async function() {
+			const client       = new ClientSuccess(config.username, config.password, undefined, undefined, { transport });
+			const requestCount = server.requests.length;
+
+			await Promise.all(_.times(5, () => client.getClient(90267712)));
+
+			expect(authRequestsSince(requestCount)).to.have.length(1);
+		});
+
+		it('should share one login between concurrent requests that all get a 401', async function() {
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, { transport });
+			await client.authenticate();
+			server.expireTokens();
+			const requestCount = server.requests.length;
+
+			const testClients = await Promise.all(_.times(5, () => client.getClient(90267712)));
+
+			expect(_.map(testClients, 'name')).to.deep.equal(_.times(5, _.constant('RC Test Client')));
+			expect(authRequestsSince(requestCount)).to.have.length(1);
+		});
+
+		it('should track expiry from expires_in', async function() {
+			const expiringServer = new ClientSuccess.MockServer(Object.assign({ tokenLifetime : 1800 }, config));
+			const client         = new ClientSuccess(config.username, config.password, undefined, undefined, { transport : expiringServer.transport });
+
+			await client.authenticate();
+
+			expect(client.tokenExpiresAt).to.be.within(Date.now() + 1799000, Date.now() + 1800000);
+		});
+
+		it('should refresh a token that is about to expire before using it', async function() {
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, tokenRefreshMargin : 5000 });
+			await client.authenticate();
+			client.tokenExpiresAt = Date.now() + 1000;
+			const requestCount    = server.requests.length;
+
+			await client.getClient(90267712);
+
+			expect(_.map(server.requests.slice(requestCount), 'path')).to.deep.equal([ 'auth', 'clients/90267712' ]);
+		});
+
+		it('should call onTokenRefreshed with every new token', async function() {
+			const refreshed = [];
+			const client    = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, onTokenRefreshed : token => refreshed.push(token) });
+
+			await client.authenticate();
+			await client.authenticate();
+
+			expect(refreshed).to.have.length(2);
+			expect(refreshed[1]).to.deep.equal({ accessToken : client.authToken, expiresAt : client.tokenExpiresAt });
+		});
+
+		it('should log rather than fail requests when the token store or onTokenRefreshed throws', async function() {
+			const errors     = [];
+			const logger     = { debug : _.noop, info : _.noop, warn : _.noop, error : message => errors.push(message) };
+			const tokenStore = { get : () => null, set : () => Promise.reject(new Error('store down')) };
+			const hook       = () => Promise.reject(new Error('hook down'));
+			const client     = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, logger, tokenStore, onTokenRefreshed : hook });
+
+			expect((await client.getClient(90267712)).id).to.equal(90267712);
+			expect(errors).to.deep.equal([ 'Storing the access token failed: store down', 'onTokenRefreshed failed: hook down' ]);
+		});
+
+		it('should log in when the token store can\'t be read', async function() {
+			const errors     = [];
+			const logger     = { debug : _.noop, info : _.noop, warn : _.noop, error : message => errors.push(message) };
+			const tokenStore = { get : () => Promise.reject(new Error('store down')), set : _.noop };
+			const client     = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, logger, tokenStore });
+			const requestCount = server.requests.length;
+
+			expect((await client.getClient(90267712)).id).to.equal(90267712);
+			expect(authRequestsSince(requestCount)).to.have.length(1);
+			expect(errors).to.deep.equal([ 'Reading the token store failed: store down' ]);
+		});
+
+		it('should reuse a token from a shared token store instead of logging in', async function() {
+			const tokenStore = new ClientSuccess.MemoryTokenStore();
+			const clientA    = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, tokenStore });
+			const clientB    = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, tokenStore });
+
+			await clientA.getClient(90267712);
+			const requestCount = server.requests.length;
+			await clientB.getClient(90267712);
+
+			expect(authRequestsSince(requestCount)).to.be.empty;
+			expect(clientB.authToken).to.equal(clientA.authToken);
+		});
+
+		it('should log in and update the token store when its token is rejected', async function() {
+			const tokenStore = new ClientSuccess.MemoryTokenStore();
+			const client     = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, tokenStore });
+			tokenStore.set(config.username, { accessToken : 'revoked-token', expiresAt : Date.now() + 60 * 60 * 1000 });
+			const requestCount = server.requests.length;
+
+			await client.getClient(90267712);
+
+			expect(authRequestsSince(requestCount)).to.have.length(1);
+			expect(tokenStore.get(config.username).accessToken).to.equal(client.authToken).and.not.equal('revoked-token');
+		});
+	});
+
+	describe('retry policy', function() {
+		const client = new ClientSuccess(config.username, config.password, undefined, undefined, {
+			transport,
+			retry : { maxAttempts : 3, maxReauthentications : 1, baseDelay : 0 },
+		});
+
+		afterEach(function() {
+			server.failures = []; // don't leak unused simulated failures into other tests
+		});
+
+		it('should retry a GET that failed with a 503 and return the eventual response', async function() {
+			server.failNext({ status : 503, times : 2, path : /^clients\/90267712$/ });
+
+			const testClient = await client.getClient(90267712);
+
+			expect(testClient.name).to.equal('RC Test Client');
+		});
+
+		it('should retry a GET that failed with a network error', async function() {
+			server.failNext({ code : 'ECONNRESET', path : /^clients\/90267712$/ });
+
+			const testClient = await client.getClient(90267712);
+
+			expect(testClient.name).to.equal('RC Test Client');
+		});
+
+		it('should not retry a POST that failed with a 503', async function() {
+			server.failNext({ status : 503, times : 2, method : 'POST', path : /^clients$/ });
+			const requestCount = server.requests.length;
+
+			await expect(client.createClient({ name : 'Never created' })).to.be.rejected.and.eventually.include({ status : 503 });
+			expect(server.requests.length - requestCount).to.equal(1);
+		});
+
+		it('should throw the last error from ClientSuccess once maxAttempts is reached', async function() {
+			server.failNext({ status : 502, times : 5, path : /^clients\/90267712$/ });
+			const requestCount = server.requests.length;
+
+			await expect(client.getClient(90267712)).to.be.rejected.and.eventually.include({ status : 502 });
+			expect(server.requests.length - requestCount).to.equal(3);
+		});
+
+		it('should not count re-authentication against maxAttempts', async function() {
+			server.failNext({ status : 401, path : /^clients\/90267712$/ });
+			server.failNext({ status : 503, times : 2, path : /^clients\/90267712$/ });
+
+			const testClient = await client.getClient(90267712);
+
+			expect(testClient.name).to.equal('RC Test Client');
+		});
+
+		it('should give up with a 401 once the re-authentication budget is spent', async function() {
+			server.failNext({ status : 401, times : 2, path : /^clients\/90267712$/ });
+
+			await expect(client.getClient(90267712)).to.be.rejected.and.eventually.include({ status : 401 });
+		});
+
+		it('should honor a Retry-After header given in seconds', function() {
+			expect(client.getRetryDelay(1, { headers : { 'retry-after' : '2' } })).to.equal(2000);
+		});
+
+		it('should cap Retry-After at maxDelay', function() {
+			expect(client.getRetryDelay(1, { headers : { 'retry-after' : '3600' } })).to.equal(client.retryPolicy.maxDelay);
+		});
+
+		it('should back off exponentially with jitter when there is no Retry-After', function() {
+			const backoffClient = new ClientSuccess('user', 'pass', undefined, undefined, { retry : { baseDelay : 100, maxDelay : 1000 } });
+
+			for (let i = 0; i < 20; i++) {
+				expect(backoffClient.getRetryDelay(1)).to.be.within(0, 100);
+				expect(backoffClient.getRetryDelay(3)).to.be.within(0, 400);
+				expect(backoffClient.getRetryDelay(10)).to.be.within(0, 1000);
+			}
+		});
+	});
+
+	describe('errors', function() {
+		afterEach(function() {
+			server.failures = [];
+		});
+
+		it('should throw an AuthenticationError for bad credentials', async function() {
+			const client = new ClientSuccess('wrong', 'wrong', undefined, undefined, { transport });
+			const error  = await expect(client.authenticate()).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.AuthenticationError);
+			expect(error).to.be.an.instanceof(ClientSuccess.CustomError);
+			expect(error).to.include({ status : 401, method : 'POST', path : 'auth' });
+		});
+
+		it('should throw a NetworkError instead of a TypeError when authentication gets no response', async function() {
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, { transport });
+			server.failNext({ code : 'ENOTFOUND', path : /^auth$/ });
+
+			const error = await expect(client.authenticate()).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.NetworkError);
+			expect(error.status).to.be.undefined;
+			expect(error.cause.code).to.equal('ENOTFOUND');
+		});
+
+		it('should throw a NetworkError for a POST that gets no response', async function() {
+			server.failNext({ code : 'ECONNRESET', method : 'POST', path : /^clients$/ });
+
+			const error = await expect(CS.createClient({ name : 'Never created' })).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.NetworkError);
+			expect(error).to.include({ method : 'POST', path : 'clients' });
+		});
+
+		it('should throw a TimeoutError, which is also a NetworkError, when the request times out', async function() {
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, retry : { maxAttempts : 1 } });
+			server.failNext({ code : 'ECONNABORTED', path : /^clients\/90267712$/ });
+
+			const error = await expect(client.getClient(90267712)).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.TimeoutError);
+			expect(error).to.be.an.instanceof(ClientSuccess.NetworkError);
+		});
+
+		it('should throw a NotFoundError carrying the raw body and request ID for a 404', async function() {
+			server.failNext({ status : 404, path : /^clients\/90267712$/, data : { userMessage : 'Gone' }, headers : { 'x-request-id' : 'req-123' } });
+
+			const error = await expect(CS.getClient(90267712)).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.NotFoundError);
+			expect(error).to.include({ status : 404, method : 'GET', path : 'clients/90267712', requestId : 'req-123', userMessage : 'Gone' });
+			expect(error.body).to.deep.equal({ userMessage : 'Gone' });
+		});
+
+		it('should throw a ValidationError for a 417', async function() {
+			const error = await expect(CS.createClient({ name : 'Bad status', statusId : 'wrong' })).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.ValidationError);
+			expect(error.status).to.equal(417);
+		});
+
+		it('should throw a RateLimitError for a 429 that is not retried', async function() {
+			server.failNext({ status : 429, method : 'POST', path : /^clients$/ });
+
+			await expect(CS.createClient({ name : 'Never created' })).to.be.rejectedWith(ClientSuccess.RateLimitError);
+		});
+
+		it('should throw a ValidationError for arguments rejected before sending', function() {
+			expect(() => CS.getClient('abc')).to.throw(ClientSuccess.ValidationError);
+		});
+
+		it('should throw a NotFoundError when a contact does not exist', async function() {
+			const error = await expect(CS.getContact(90267712, 123)).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.NotFoundError);
+			expect(error.cause.status).to.equal(417);
+		});
+	});
+
+	describe('dryRun', function() {
+		const dryRunClient = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, dryRun : true });
+		let testClient;
+		let testContact;
+		let requestCount;
+
+		// every request the dry-run client made since the test started, minus reads
+		const writes = () => server.requests.slice(requestCount).filter(request => request.method !== 'GET' && request.path !== 'auth');
+
+		before(async function() {
+			testClient  = await CS.createClient({ name : 'Dry run client', externalId : `${(new Date()).getTime()}dryrun` }, { 'Account Notes' : 'Before' });
+			testContact = await CS.createContact(testClient.id, { firstName : 'Dry', lastName : 'Run', email : `${(new Date()).getTime()}+dryrun@roadmunk.com` });
+		});
+
+		beforeEach(function() {
+			requestCount = server.requests.length;
+		});
+
+		it('should plan a client update with a diff of standard and custom attributes', async function() {
+			const plan = await dryRunClient.updateClient(testClient.id, { name : 'Dry run renamed' }, { 'Account Notes' : 'After' });
+
+			expect(plan).to.include({ dryRun : true, action : 'update', method : 'PUT', path : `clients/${testClient.id}` });
+			expect(plan.changes).to.deep.equal({
+				attributes       : { name : { from : 'Dry run client', to : 'Dry run renamed' } },
+				customAttributes : { 'Account Notes' : { from : 'Before', to : 'After' } },
+			});
+			expect(writes()).to.be.empty;
+			expect((await CS.getClient(testClient.id)).name).to.equal('Dry run client');
+		});
+
+		it('should plan a client creation without creating it', async function() {
+			const plan = await dryRunClient.upsertClient({ attributes : { name : 'Dry run new' }, customAttributes : { 'Account Notes' : 'New' } });
+
+			expect(plan).to.include({ action : 'create', method : 'POST', path : 'clients' });
+			expect(plan.changes.attributes.name).to.deep.equal({ from : undefined, to : 'Dry run new' });
+			expect(plan.changes.customAttributes['Account Notes']).to.deep.equal({ from : null, to : 'New' });
+			expect(writes()).to.be.empty;
+		});
+
+		it('should plan an update when creating a client whose externalId already exists', async function() {
+			const plan = await dryRunClient.createClient({ name : 'Dry run dup', externalId : testClient.externalId });
+
+			expect(plan).to.include({ action : 'update', path : `clients/${testClient.id}` });
+			expect(writes()).to.be.empty;
+		});
+
+		it('should plan closing and deleting a client', async function() {
+			const closePlan  = await dryRunClient.closeClient(testClient.id);
+			const deletePlan = await dryRunClient.deleteClient(testClient.id);
+
+			expect(closePlan.changes.attributes.statusId).to.deep.equal({ from : 1, to : 4 });
+			expect(deletePlan).to.include({ action : 'delete', method : 'DELETE' });
+			expect(deletePlan.current.id).to.equal(testClient.id);
+			expect(writes()).to.be.empty;
+		});
+
+		it('should still surface errors from the reads', async function() {
+			await expect(dryRunClient.deleteClient(123)).to.be.rejectedWith(ClientSuccess.NotFoundError);
+			await expect(dryRunClient.updateContact(testClient.id, 123, { firstName : 'Nobody' })).to.be.rejectedWith(ClientSuccess.NotFoundError);
+		});
+
+		it('should plan contact creation, update and deletion', async function() {
+			const createPlan = await dryRunClient.upsertContact({ clientId : testClient.id, attributes : { firstName : 'New', email : 'dry-new@roadmunk.com' } });
+			const updatePlan = await dryRunClient.upsertContact({ clientId : testClient.id, attributes : { firstName : 'Changed', email : testContact.email } });
+			const deletePlan = await dryRunClient.deleteContact(testClient.id, testContact.id);
+
+			expect(createPlan).to.include({ action : 'create', path : `clients/${testClient.id}/contacts` });
+			expect(updatePlan.changes.attributes).to.deep.equal({ firstName : { from : 'Dry', to : 'Changed' } });
+			expect(deletePlan.current.id).to.equal(testContact.id);
+			expect(writes()).to.be.empty;
+		});
+
+		it('should plan product and subscription writes', async function() {
+			const subscription = await CS.createClientSubscription(testClient.id, { productId : 7747, amount : 100 });
+			requestCount       = server.requests.length;
+
+			const productPlan      = await dryRunClient.createProductType('Dry run product');
+			const subscriptionPlan = await dryRunClient.createClientSubscription(testClient.id, { productId : 7747, amount : 10 });
+			const updatePlan       = await dryRunClient.updateClientSubscription(subscription, { amount : 200 });
+			const deletePlan       = await dryRunClient.deleteClientSubscription(subscription.id);
+
+			expect(productPlan).to.include({ action : 'create', path : 'products' });
+			expect(subscriptionPlan.data).to.include({ clientId : testClient.id, productId : 7747 });
+			expect(updatePlan.changes.attributes).to.deep.equal({ amount : { from : 100, to : 200 } });
+			expect(subscription.amount).to.equal(100);
+			expect(deletePlan).to.include({ action : 'delete', path : `subscriptions/${subscription.id}` });
+			expect(deletePlan.current.id).to.equal(subscription.id);
+			expect(writes()).to.be.empty;
+		});
+
+		it('should diff a subscription update against ClientSuccess rather than a stale object', async function() {
+			const subscription = await CS.createClientSubscription(testClient.id, { productId : 7747, amount : 100 });
+			await CS.updateClientSubscription(_.clone(subscription), { amount : 150 });
+
+			const plan = await dryRunClient.updateClientSubscription(subscription, { quantity : 3 });
+
+			expect(plan.changes.attributes).to.deep.equal({ amount : { from : 150, to : 100 }, quantity : { from : 1, to : 3 } });
+			expect(plan.data).to.include({ amount : 100, quantity : 3 });
+		});
+
+		it('should read a subscription before planning its deletion', async function() {
+			await expect(dryRunClient.deleteClientSubscription(123)).to.be.rejectedWith(ClientSuccess.NotFoundError);
+			await expect(dryRunClient.updateClientSubscription({ id : 123, amount : 1 }, { amount : 2 })).to.be.rejectedWith(ClientSuccess.NotFoundError);
+		});
+	});
+
+	describe('rate limiting', function() {
+		let inFlight;
+		let maxInFlight;
+
+		// transport that takes a few milliseconds per request so overlapping requests can be counted
+		const slowTransport = async requestConfig => {
+			maxInFlight = Math.max(maxInFlight, ++inFlight);
+			try {
+				await new Promise(resolve => setTimeout(resolve, 5));
+				return await transport(requestConfig);
+			}
+			finally {
+				inFlight--;
+			}
+		};
+
+		beforeEach(function() {
+			inFlight    = 0;
+			maxInFlight = 0;
+		});
+
+		it('should limit requests in flight across instances sharing a limiter', async function() {
+			const rateLimit = new ClientSuccess.RateLimiter({ maxConcurrent : 2 });
+			const clientA   = new ClientSuccess(config.username, config.password, config.eventsProjectID, config.eventsAPIKey, { transport : slowTransport, rateLimit });
+			const clientB   = new ClientSuccess(config.username, config.password, config.eventsProjectID, config.eventsAPIKey, { transport : slowTransport, rateLimit });
+
+			await Promise.all([
+				..._.times(4, () => clientA.getClient(90267712)),
+				..._.times(4, () => clientB.getClient(90267712)),
+				clientA.trackActivity({ clientID : 90273708, activity : 'Login' }),
+			]);
+
+			expect(maxInFlight).to.equal(2);
+		});
+
+		it('should coordinate limiters that share a store and key', async function() {
+			const store   = new ClientSuccess.RateLimiter.MemoryStore();
+			const clientA = new ClientSuccess(config.username, config.password, undefined, undefined, { transport : slowTransport, rateLimit : { maxConcurrent : 1, store } });
+			const clientB = new ClientSuccess(config.username, config.password, undefined, undefined, { transport : slowTransport, rateLimit : { maxConcurrent : 1, store } });
+
+			await Promise.all(_.flatten(_.times(3, () => [ clientA.getClient(90267712), clientB.getClient(90267712) ])));
+
+			expect(maxInFlight).to.equal(1);
+		});
+
+		it('should spread requests over time once the per-second bucket is empty', async function() {
+			const client  = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, rateLimit : { perSecond : 20 } });
+			const started = Date.now();
+
+			await Promise.all(_.times(24, () => client.getClient(90267712)));
+
+			// the auth request and 20 GETs fit in the bucket, the remaining 5 requests need 50ms each
+			expect(Date.now() - started).to.be.at.least(200);
+		});
+
+		it('should release the in-flight slot when a request fails', async function() {
+			const rateLimit = new ClientSuccess.RateLimiter({ maxConcurrent : 1 });
+			const client    = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, rateLimit });
+
+			await expect(client.getClient(1)).to.be.rejectedWith(ClientSuccess.NotFoundError);
+
+			expect((await client.getClient(90267712)).name).to.equal('RC Test Client');
+		});
+
+		describe('MemoryStore', function() {
+			it('should refill buckets continuously and report how long to wait', function() {
+				let now     = 0;
+				const store = new ClientSuccess.RateLimiter.MemoryStore({ now : () => now });
+
+				expect(_.times(2, () => store.consume('bucket', 2, 1000))).to.deep.equal([ 0, 0 ]);
+				expect(store.consume('bucket', 2, 1000)).to.equal(500);
+
+				now = 250;
+				expect(store.consume('bucket', 2, 1000)).to.equal(250);
+
+				now = 500;
+				expect(store.consume('bucket', 2, 1000)).to.equal(0);
+			});
+
+			it('should hand out at most max in-flight slots', function() {
+				const store = new ClientSuccess.RateLimiter.MemoryStore();
+
+				expect(_.times(3, () => store.acquireSlot('slots', 2))).to.deep.equal([ true, true, false ]);
+				store.releaseSlot('slots');
+				expect(store.acquireSlot('slots', 2)).to.equal(true);
+			});
+		});
 	});
 
 	describe('getClient', function() {
@@ -69,6 +826,59 @@ describe('clientSuccessClient', function() {
 		});
 	});
 
+	describe('listClients', function() {
+		before(function() {
+			server.seed({
+				clients : [ 1, 2, 3, 4, 5 ].map(i => ({ id : 90250000 + i, name : `RC List Client ${i}`, assignedUserId : 4242, clientSegmentId : i % 2 ? 3600 : 3601 })),
+			});
+		});
+
+		it('should page through every matching client with for await', async function() {
+			const requestCount = server.requests.length;
+			const names        = [];
+
+			for await (const client of CS.listClients({ assignedUserId : 4242 }, { pageSize : 2 })) {
+				names.push(client.name);
+			}
+
+			expect(names).to.deep.equal([ 1, 2, 3, 4, 5 ].map(i => `RC List Client ${i}`));
+			expect(server.requests.length - requestCount).to.equal(3);
+		});
+
+		it('should collect every matching client with all()', async function() {
+			const clients = await CS.listClients({ assignedUserId : 4242, segmentId : 3600 }, { pageSize : 2 }).all();
+
+			expect(clients.map(client => client.id)).to.deep.equal([ 90250001, 90250003, 90250005 ]);
+		});
+
+		it('should pass the filters to ClientSuccess as query parameters', async function() {
+			await CS.listClients({ status : 1, segmentId : 3600, assignedUserId : 4242 }).all();
+
+			expect(_.last(server.requests).query).to.include({ statusId : '1', clientSegmentId : '3600', assignedUserId : '4242', page : '1' });
+		});
+
+		it('should stop at a page of clients it has already seen when ClientSuccess ignores paging', async function() {
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, {
+				transport : requestConfig => transport(Object.assign({}, requestConfig, { url : requestConfig.url.replace(/page=\d+/, 'page=1') })),
+			});
+			const requestCount = server.requests.length;
+
+			const clients = await client.listClients({ assignedUserId : 4242 }, { pageSize : 2 }).all();
+
+			expect(clients.map(listedClient => listedClient.id)).to.deep.equal([ 90250001, 90250002 ]);
+			expect(server.requests.slice(requestCount).filter(request => request.path === 'clients')).to.have.length(2);
+		});
+
+		it('should stop after one request when nothing matches', async function() {
+			const requestCount = server.requests.length;
+
+			const clients = await CS.listClients({ assignedUserId : 1 }).all();
+
+			expect(clients).to.be.empty;
+			expect(server.requests.length - requestCount).to.equal(1);
+		});
+	});
+
 	describe('createClient', async function() {
 		let testClient;
 
@@ -242,6 +1052,231 @@ describe('clientSuccessClient', function() {
 		});
 	});
 
+	describe('change detection', function() {
+		let testClient;
+		let testContact;
+		let requestCount;
+
+		const writes = () => server.requests.slice(requestCount).filter(request => request.method === 'PUT');
+
+		before(async function() {
+			server.seed({
+				clients : [ { id : 90260001, name : 'RC Unchanged Client', externalId : 'rc-unchanged', assignedUserId : 77, createdDate : '2018-05-25T00:00:00.000Z' } ],
+			});
+			testClient  = await CS.updateClient(90260001, {}, { 'Account Notes' : 'Notes' });
+			testContact = await CS.createContact(testClient.id, { firstName : 'Same', lastName : 'Contact', email : 'same-contact@roadmunk.com' }, { 'External ID' : '42' });
+		});
+
+		beforeEach(function() {
+			requestCount = server.requests.length;
+		});
+
+		it('should not PUT a client update that changes nothing', async function() {
+			const result = await CS.updateClient(testClient.id, { name : 'RC Unchanged Client' }, { 'Account Notes' : 'Notes' });
+
+			expect(result.changed).to.equal(false);
+			expect(result.name).to.equal('RC Unchanged Client');
+			expect(writes()).to.be.empty;
+		});
+
+		it('should treat string and number IDs, null and undefined, and date formats as equal', async function() {
+			const result = await CS.updateClient(testClient.id, {
+				assignedUserId  : '77',
+				clientSegmentId : undefined,
+				createdDate     : '2018-05-25',
+			});
+
+			expect(result.changed).to.equal(false);
+			expect(writes()).to.be.empty;
+		});
+
+		it('should not treat two different numeric strings as equal', async function() {
+			server.seed({ clients : [ { id : 90260002, name : 'RC Zero Padded Client', externalId : '0042' } ] });
+
+			const result = await CS.updateClient(90260002, { externalId : '42' });
+
+			expect(result.changed).to.equal(true);
+			expect(result.changes.attributes).to.deep.equal({ externalId : { from : '0042', to : '42' } });
+			expect(server.clients.get(90260002).externalId).to.equal('42');
+		});
+
+		it('should PUT and report which fields changed', async function() {
+			const result = await CS.updateClient(testClient.id, { name : 'RC Changed Client', assignedUserId : 77 }, { 'Account Notes' : 'New notes' });
+
+			expect(result.changed).to.equal(true);
+			expect(result.changes).to.deep.equal({
+				attributes       : { name : { from : 'RC Unchanged Client', to : 'RC Changed Client' } },
+				customAttributes : { 'Account Notes' : { from : 'Notes', to : 'New notes' } },
+			});
+			expect(writes()).to.have.length(1);
+			expect(Object.keys(result)).to.not.include.members([ 'changed', 'changes' ]);
+		});
+
+		it('should skip both the PUT and the re-fetch in upsertClient when nothing changed', async function() {
+			const result = await CS.upsertClient({ clientId : testClient.id, attributes : { name : 'RC Changed Client' } });
+
+			expect(result.changed).to.equal(false);
+			expect(server.requests.slice(requestCount)).to.have.length(1);
+		});
+
+		it('should not PUT a contact update that changes nothing', async function() {
+			const result = await CS.updateContact(testClient.id, testContact.id, { firstName : 'Same' }, { 'External ID' : 42 });
+
+			expect(result.changed).to.equal(false);
+			expect(writes()).to.be.empty;
+		});
+
+		it('should not PUT when upserting a contact found by email that changes nothing', async function() {
+			const result = await CS.upsertContact({
+				clientId         : testClient.id,
+				attributes       : { firstName : 'Same', email : 'same-contact@roadmunk.com' },
+				customAttributes : { 'External ID' : '42' },
+			});
+
+			expect(result.id).to.equal(testContact.id);
+			expect(result.changed).to.equal(false);
+			expect(writes()).to.be.empty;
+		});
+
+		it('should PUT only the changed contact fields when upserting by email', async function() {
+			const result = await CS.upsertContact({
+				clientId   : testClient.id,
+				attributes : { firstName : 'Different', email : 'same-contact@roadmunk.com' },
+			});
+
+			expect(result.changes.attributes).to.deep.equal({ firstName : { from : 'Same', to : 'Different' } });
+			expect(writes()).to.have.length(1);
+		});
+	});
+
+	describe('custom field validation', function() {
+		const strictClient = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, strictCustomFields : true });
+		let testClient;
+
+		const customValue = (record, label) => _.find(record.customFieldValues, { label }).value;
+
+		before(async function() {
+			testClient = await CS.createClient({ name : `TEST typed client ${(new Date()).getTime()}` });
+		});
+
+		it('should load and cache the custom field definitions', async function() {
+			const client       = new ClientSuccess(config.username, config.password, undefined, undefined, { transport });
+			const requestCount = server.requests.length;
+
+			const [ definitions ] = await Promise.all([ client.getCustomFieldDefinitions('client'), client.getCustomFieldDefinitions('client') ]);
+			await client.getCustomFieldDefinitions('client');
+
+			expect(_.map(definitions, 'label')).to.include.members([ 'Account Notes', 'Renewal Date', 'Seats', 'Churn Risk', 'Plan' ]);
+			expect(server.requests.slice(requestCount).filter(request => request.path === 'customfield/client')).to.have.length(1);
+		});
+
+		it('should reject an unknown record type', async function() {
+			await expect(CS.getCustomFieldDefinitions('product')).to.be.rejectedWith(ClientSuccess.ValidationError);
+		});
+
+		it('should coerce values to the type of their custom field', async function() {
+			const updatedClient = await CS.updateClient(testClient.id, {}, {
+				'Seats'        : '25',
+				'Churn Risk'   : 'true',
+				'Renewal Date' : new Date(Date.UTC(2019, 4, 24)),
+				'Plan'         : 'business',
+			});
+
+			expect(customValue(updatedClient, 'Seats')).to.equal(25);
+			expect(customValue(updatedClient, 'Churn Risk')).to.equal(true);
+			expect(customValue(updatedClient, 'Renewal Date')).to.equal('2019-05-24');
+			expect(customValue(updatedClient, 'Plan')).to.equal('Business');
+		});
+
+		it('should leave out unknown labels and invalid values with a warning when not strict', async function() {
+			const warnings = [];
+			const logger   = { debug : _.noop, info : _.noop, warn : (message, fields) => warnings.push(fields), error : _.noop };
+			const client   = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, logger });
+
+			const updatedClient = await client.updateClient(testClient.id, {}, {
+				'Account Notes' : 'Still written',
+				'No Such Field' : 'dropped',
+				'Seats'         : 'lots',
+			});
+
+			expect(customValue(updatedClient, 'Account Notes')).to.equal('Still written');
+			expect(customValue(updatedClient, 'Seats')).to.equal(25);
+			expect(_.map(warnings, 'invalidFields')).to.deep.equal([ [ 'No Such Field', 'Seats' ] ]);
+		});
+
+		it('should throw one ValidationError listing every bad field in strict mode', async function() {
+			const requestCount = server.requests.length;
+
+			const error = await expect(strictClient.updateClient(testClient.id, {}, {
+				'Account Notes' : 'Not written',
+				'No Such Field' : 'x',
+				'Seats'         : 'lots',
+				'Plan'          : 'Platinum',
+				'Renewal Date'  : 'next year',
+			})).to.be.rejected;
+
+			expect(error).to.be.an.instanceof(ClientSuccess.ValidationError);
+			expect(_.map(error.invalidFields, 'field')).to.deep.equal([ 'No Such Field', 'Seats', 'Plan', 'Renewal Date' ]);
+			expect(error.message).to.include('Starter, Business, Enterprise');
+			expect(server.requests.slice(requestCount).filter(request => request.method === 'PUT')).to.be.empty;
+		});
+
+		it('should not create a client whose custom attributes are invalid in strict mode', async function() {
+			const requestCount = server.requests.length;
+
+			await expect(strictClient.createClient({ name : 'Never created' }, { Seats : 'lots' })).to.be.rejectedWith(ClientSuccess.ValidationError);
+			expect(server.requests.slice(requestCount).filter(request => request.method === 'POST' && request.path === 'clients')).to.be.empty;
+		});
+
+		it('should allow null to clear any field', async function() {
+			const updatedClient = await strictClient.updateClient(testClient.id, {}, { 'Seats' : null, 'Renewal Date' : null });
+
+			expect(customValue(updatedClient, 'Seats')).to.be.null;
+			expect(customValue(updatedClient, 'Renewal Date')).to.be.null;
+		});
+	});
+
+	describe('custom attribute keys', function() {
+		let testClient;
+
+		before(async function() {
+			testClient = await CS.createClient({ name : `TEST keyed client ${(new Date()).getTime()}` }, { 'Account Notes' : 'By label' });
+		});
+
+		afterEach(function() {
+			server.renameCustomField('client', 501, 'Account Notes');
+		});
+
+		it('should write custom attributes addressed by key or custom field ID', async function() {
+			let updatedClient = await CS.updateClient(testClient.id, {}, { account_notes : 'By key', 503 : 7 }); // eslint-disable-line camelcase
+
+			expect(CS.readCustomAttributes(updatedClient)).to.include({ account_notes : 'By key', seats : 7 }); // eslint-disable-line camelcase
+
+			updatedClient = await CS.updateClient(testClient.id, {}, { 501 : 'By ID' });
+
+			expect(CS.readCustomAttributes(updatedClient).account_notes).to.equal('By ID');
+		});
+
+		it('should keep writing a field by key after it is renamed in ClientSuccess', async function() {
+			server.renameCustomField('client', 501, 'Internal Notes');
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, { transport });
+
+			const updatedClient = await client.updateClient(testClient.id, {}, { account_notes : 'After rename' }); // eslint-disable-line camelcase
+
+			expect(client.readCustomAttributes(updatedClient, { keyBy : 'label' })['Internal Notes']).to.equal('After rename');
+		});
+
+		it('should read custom field values keyed by key, label or ID', async function() {
+			const fetchedClient = await CS.getClient(testClient.id);
+
+			expect(CS.readCustomAttributes(fetchedClient)).to.have.property('account_notes');
+			expect(CS.readCustomAttributes(fetchedClient, { keyBy : 'label' })).to.have.property('Account Notes');
+			expect(CS.readCustomAttributes(fetchedClient, { keyBy : 'id' })).to.have.property('501');
+			expect(CS.readCustomAttributes({})).to.deep.equal({});
+			expect(() => CS.readCustomAttributes(fetchedClient, { keyBy : 'name' })).to.throw(ClientSuccess.ValidationError);
+		});
+	});
+
 	describe('upsertClient', async function() {
 		this.timeout(15000);
 		// we will use a test client
@@ -331,23 +1366,119 @@ describe('clientSuccessClient', function() {
 				attributes       : upsertClientAttributes,
 				customAttributes : upsertClientCustomAttributes,
 			});
-			upsertedClientArray.push(upsertedClient.id); // queue this client to be cleaned
-			// pull down detailed client model
-			expect(upsertedClient.name).to.equal(updatedTestClientName);
-			expect(upsertedClient.customFieldValues[0].value).to.equal('Test Notes');
+			upsertedClientArray.push(upsertedClient.id); // queue this client to be cleaned
+			// pull down detailed client model
+			expect(upsertedClient.name).to.equal(updatedTestClientName);
+			expect(upsertedClient.customFieldValues[0].value).to.equal('Test Notes');
+		});
+
+		it('should update an existing Client with custom attribtues', async function() {
+			// TODO: this is dependent on the custom fields that are exposed to the ClientSuccess API
+			await CS.upsertClient({
+				clientId         : testClient.id,
+				attributes       : { name : `${testClient.name}updated` },
+				customAttributes : { 'Account Notes' : testClient.name },
+			});
+			// pull back down the user object
+			const upsertedCustomClient = await CS.getClient(testClient.id);
+			expect(upsertedCustomClient.name).to.equal(`${testClient.name}updated`);
+			expect(upsertedCustomClient.customFieldValues[0].value).to.equal(testClient.name);
+		});
+	});
+
+	describe('bulkUpsertClients', function() {
+		let maxInFlight;
+		let client;
+
+		beforeEach(function() {
+			// count how many requests the bulk upsert has in flight at once
+			let inFlight = 0;
+			maxInFlight  = 0;
+			client       = new ClientSuccess(config.username, config.password, undefined, undefined, {
+				transport : async requestConfig => {
+					maxInFlight = Math.max(maxInFlight, ++inFlight);
+					try {
+						return await transport(requestConfig);
+					}
+					finally {
+						inFlight--;
+					}
+				},
+				retry : { baseDelay : 0 },
+			});
+		});
+
+		it('should upsert every record and report results in input order', async function() {
+			const externalId = `${(new Date()).getTime()}bulk`;
+			const existing   = await client.createClient({ name : 'Bulk existing' });
+
+			const results = await client.bulkUpsertClients([
+				{ attributes : { name : 'Bulk new 1', externalId : `${externalId}1` } },
+				{ clientId : existing.id, attributes : { name : 'Bulk existing updated' } },
+				{ attributes : { name : 'Bulk new 2', externalId : `${externalId}2` } },
+			]);
+
+			expect(results.map(result => result.success)).to.deep.equal([ true, true, true ]);
+			expect(results.map(result => result.result.name)).to.deep.equal([ 'Bulk new 1', 'Bulk existing updated', 'Bulk new 2' ]);
+			expect(results[1].result.id).to.equal(existing.id);
+		});
+
+		it('should keep going after a record fails', async function() {
+			const results = await client.bulkUpsertClients([
+				{ attributes : { name : 'Bulk bad status', statusId : 'wrong' } },
+				{ clientId : 'abc' },
+				{ attributes : { name : 'Bulk good' } },
+			]);
+
+			expect(results[0]).to.include({ index : 0, success : false });
+			expect(results[0].error).to.be.an.instanceof(ClientSuccess.ValidationError);
+			expect(results[1].error).to.be.an.instanceof(ClientSuccess.ValidationError);
+			expect(results[2]).to.include({ index : 2, success : true });
+		});
+
+		it('should not create duplicates for records sharing an externalId', async function() {
+			const externalId = `${(new Date()).getTime()}dup`;
+
+			const results = await client.bulkUpsertClients([
+				{ attributes : { name : 'Dup first', externalId } },
+				{ attributes : { name : 'Dup second', externalId } },
+			], { concurrency : 2 });
+
+			expect(results[0].result.id).to.equal(results[1].result.id);
+			expect((await client.getClientByExternalId(externalId)).name).to.equal('Dup second');
+		});
+
+		it('should stay within the concurrency limit and report progress', async function() {
+			const progress = [];
+
+			await client.bulkUpsertClients(_.times(6, i => ({ attributes : { name : `Bulk pool ${i}` } })), {
+				concurrency : 2,
+				onProgress  : update => progress.push(update),
+			});
+
+			expect(maxInFlight).to.be.at.most(2);
+			expect(progress).to.have.length(6);
+			expect(_.last(progress)).to.deep.equal({ completed : 6, total : 6, succeeded : 6, failed : 0 });
 		});
 
-		it('should update an existing Client with custom attribtues', async function() {
-			// TODO: this is dependent on the custom fields that are exposed to the ClientSuccess API
-			await CS.upsertClient({
-				clientId         : testClient.id,
-				attributes       : { name : `${testClient.name}updated` },
-				customAttributes : { 'Account Notes' : testClient.name },
+		it('should log an onProgress that throws and finish every record', async function() {
+			const errors = [];
+			const logger = { debug : _.noop, info : _.noop, warn : _.noop, error : message => errors.push(message) };
+			client       = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, logger });
+
+			const results = await client.bulkUpsertClients(_.times(3, i => ({ attributes : { name : `Bulk progress ${i}` } })), {
+				onProgress : () => {
+					throw new Error('progress bar gone');
+				},
 			});
-			// pull back down the user object
-			const upsertedCustomClient = await CS.getClient(testClient.id);
-			expect(upsertedCustomClient.name).to.equal(`${testClient.name}updated`);
-			expect(upsertedCustomClient.customFieldValues[0].value).to.equal(testClient.name);
+			await new Promise(resolve => setImmediate(resolve));
+
+			expect(_.map(results, 'success')).to.deep.equal([ true, true, true ]);
+			expect(errors).to.deep.equal(_.times(3, _.constant('onProgress failed: progress bar gone')));
+		});
+
+		it('should reject when records is not an array', async function() {
+			await expect(client.bulkUpsertClients()).to.be.rejectedWith(ClientSuccess.ValidationError);
 		});
 	});
 
@@ -715,57 +1846,535 @@ describe('clientSuccessClient', function() {
 		});
 	});
 
-	describe('deleteContact', async function() {
+	describe('bulkUpsertContacts', function() {
+		let testClient;
+
+		before(async function() {
+			testClient = await CS.createClient({ name : `TEST client ${(new Date()).getTime()}`, externalId : `${(new Date()).getTime()}bulkcontacts` });
+		});
+
+		it('should upsert every contact, looking the client up once', async function() {
+			const requestCount = server.requests.length;
+			const email        = `${(new Date()).getTime()}+bulk@roadmunk.com`;
+
+			const results = await CS.bulkUpsertContacts([
+				{ clientId : testClient.id, attributes : { firstName : 'Bulk', lastName : 'One', email : `1${email}` } },
+				{ clientId : testClient.id, attributes : { firstName : 'Bulk', lastName : 'Two', email : `2${email}` } },
+				{ clientId : testClient.id, attributes : { firstName : 'Bulk', lastName : 'Three', email : `3${email}` } },
+			], { concurrency : 3 });
+
+			const clientLookups = server.requests.slice(requestCount).filter(request => request.path === `clients/${testClient.id}`);
+			expect(results.map(result => result.success)).to.deep.equal([ true, true, true ]);
+			expect(results.map(result => result.result.lastName)).to.deep.equal([ 'One', 'Two', 'Three' ]);
+			expect(clientLookups).to.have.length(1);
+		});
+
+		it('should not create duplicates for records sharing an email', async function() {
+			const email = `${(new Date()).getTime()}+dup@roadmunk.com`;
+
+			const results = await CS.bulkUpsertContacts([
+				{ clientId : testClient.id, attributes : { firstName : 'First', email } },
+				{ clientId : testClient.id, attributes : { firstName : 'Second', email } },
+			], { concurrency : 2 });
+
+			expect(results[0].result.id).to.equal(results[1].result.id);
+			expect(results[1].result.firstName).to.equal('Second');
+		});
+
+		it('should report failures per record', async function() {
+			const results = await CS.bulkUpsertContacts([
+				{ clientId : 'abc', attributes : { firstName : 'Bad client' } },
+				{ clientId : testClient.id, contactId : 123, attributes : { firstName : 'Missing contact' } },
+			]);
+
+			expect(results[0].error).to.be.an.instanceof(ClientSuccess.ValidationError);
+			expect(results[1].error).to.be.an.instanceof(ClientSuccess.NotFoundError);
+		});
+	});
+
+	describe('listContacts', function() {
+		let testClient;
+
+		before(async function() {
+			testClient = await CS.createClient({ name : `TEST client ${(new Date()).getTime()}` });
+			for (let i = 0; i < 3; i++) {
+				await CS.createContact(testClient.id, { firstName : `Contact ${i}`, lastName : 'Listed' });
+			}
+		});
+
+		it('should return every contact of the client across pages', async function() {
+			const contacts = await CS.listContacts(testClient.id, { pageSize : 2 }).all();
+
+			expect(contacts.map(contact => contact.firstName)).to.deep.equal([ 'Contact 0', 'Contact 1', 'Contact 2' ]);
+		});
+
+		it('should re-authenticate mid-way through paging', async function() {
+			const contacts = [];
+			for await (const contact of CS.listContacts(testClient.id, { pageSize : 2 })) {
+				contacts.push(contact);
+				server.expireTokens();
+			}
+
+			expect(contacts).to.have.length(3);
+		});
+
+		it('should reject an invalid client ID', function() {
+			expect(() => CS.listContacts('abc')).to.throw(ClientSuccess.ValidationError);
+		});
+
+		it('should reject with a 404 when the client does not exist', async function() {
+			await expect(CS.listContacts(123).all()).to.be.rejectedWith(ClientSuccess.NotFoundError);
+		});
+	});
+
+	describe('deleteContact', async function() {
+		let testClient;
+		let testContact;
+
+		before(async function() {
+			// create a test client with initial attributes to use in deleteContact tests
+			const testClientName = `TEST user ${(new Date()).getTime()}`;
+			const testClientAttributesInitial = {
+				name : testClientName,
+			};
+
+			testClient = await CS.createClient(testClientAttributesInitial);
+
+			// create a test contact with initial attributes to use in deleteContact tests
+			const newContactName = `TEST user ${(new Date()).getTime()}`;
+			const testContactAttributes = {
+				firstName : newContactName,
+				lastName  : newContactName,
+			};
+
+			testContact = await CS.createContact(testClient.id, testContactAttributes);
+		});
+
+		it('should delete an existing contact if a clientId and contactId are passed', async function() {
+			await CS.deleteContact(testClient.id, testContact.id);
+			expect(CS.getContact(testContact.id)).to.eventually.be.rejectedWith({ status : 404 });
+		});
+
+		it('should throw if the contactId provided is not part of the clientId passed', async function() {
+			const testOtherClientName = `TEST other user ${(new Date()).getTime()}`;
+			const testOtherClientAttributesInitial = {
+				name : testOtherClientName,
+			}
+
+			// create another client that is not linked to the contact we are trying to delete
+			const testOtherClient = await CS.createClient(testOtherClientAttributesInitial);
+
+			await expect(CS.deleteContact(testOtherClient.id, testContact.id)).to.be.rejected.and.eventually.include({
+				status : 404,
+				message : 'Client not found for contact with that id'
+			});
+		});
+
+		it('should throw and return 400 if the clientId and/or contactId are missing', async function() {
+			const expectedError = { status : 400, message : 'Client ID and Contact ID Required for Deletion' };
+			expect(() => CS.deleteContact()).to.throw(expectedError.message).that.has.property('status').which.equals(expectedError.status);
+			expect(() => CS.deleteContact(testClient.id)).to.throw(expectedError.message).that.has.property('status').which.equals(expectedError.status);
+		});
+
+		it('should return 404 if the contact does not exist', async function() {
+			expect(CS.deleteContact('This would not be a valid id', 'This should also not be a valid id')).to.eventually.be.rejectedWith({ status : 404 });
+		});
+	});
+
+	describe('reference data cache', function() {
+		let now;
+		const clock      = () => now;
+		const requestsTo = (path, requestCount) => _.filter(server.requests.slice(requestCount), { method : 'GET', path });
+
+		beforeEach(function() {
+			now = 0;
+		});
+
+		afterEach(function() {
+			server.failures = [];
+			server.clientSegments = server.clientSegments.filter(({ id }) => id !== 3603);
+		});
+
+		it('should load products once for repeated lookups', async function() {
+			const client       = newClient();
+			const requestCount = server.requests.length;
+
+			expect(await client.getProductId('DNE')).to.equal(7746);
+			expect(await client.getProductId('Collaborators')).to.equal(7747);
+
+			expect(requestsTo('products', requestCount)).to.have.length(1);
+		});
+
+		it('should reload reference data once the TTL has passed', async function() {
+			const client       = newClient({ referenceCache : { ttl : 1000, staleWhileRevalidate : false, now : clock } });
+			const requestCount = server.requests.length;
+
+			await client.getClientSegments();
+			now = 999;
+			await client.getClientSegments();
+			now = 1000;
+			server.clientSegments.push({ id : 3603, title : 'Partner' });
+
+			expect(await client.getClientTypeId('Partner')).to.equal(3603);
+			expect(requestsTo('client-segments', requestCount)).to.have.length(2);
+		});
+
+		it('should return expired data while reloading it in the background', async function() {
+			const client = newClient({ referenceCache : { ttl : 1000, now : clock } });
+
+			await client.getClientSegments();
+			now = 5000;
+			server.clientSegments.push({ id : 3603, title : 'Partner' });
+
+			expect(_.map(await client.getClientSegments(), 'title')).to.not.include('Partner');
+			await client.referenceCache.loading.get('clientsuccess:test-user:clientSegments');
+			expect(_.map(await client.getClientSegments(), 'title')).to.include('Partner');
+		});
+
+		it('should reload reference data after invalidate', async function() {
+			const client = newClient();
+
+			await client.getClientSegments();
+			await client.getProducts();
+			server.clientSegments.push({ id : 3603, title : 'Partner' });
+			const requestCount = server.requests.length;
+
+			await client.invalidate('clientSegments');
+			expect(await client.getClientTypeId('Partner')).to.equal(3603);
+			await client.getProducts();
+			expect(requestsTo('client-segments', requestCount)).to.have.length(1);
+			expect(requestsTo('products', requestCount)).to.be.empty;
+
+			await client.invalidate();
+			await client.getProducts();
+			expect(requestsTo('products', requestCount)).to.have.length(1);
+
+			await expect(client.invalidate('subscriptions')).to.be.rejectedWith(ClientSuccess.ValidationError);
+		});
+
+		it('should forget the cached products after creating one', async function() {
+			const client = newClient();
+			await client.getProducts();
+
+			const createdProduct = await client.createProductType('Cache Test Product');
+
+			expect(await client.getProductId('Cache Test Product')).to.equal(createdProduct.id);
+		});
+
+		it('should drop the oldest entries beyond the store\'s maxEntries', async function() {
+			const store = new ClientSuccess.ReferenceCache.MemoryStore({ maxEntries : 2 });
+			const cache = new ClientSuccess.ReferenceCache({ store });
+
+			for (const key of [ 'a', 'b', 'c' ]) {
+				await cache.get(key, () => Promise.resolve(key.toUpperCase()));
+			}
+
+			expect(Array.from(store.entries.keys())).to.deep.equal([ 'b', 'c' ]);
+			expect(await cache.get('a', () => Promise.resolve('reloaded'))).to.equal('reloaded');
+		});
+
+		it('should share entries between caches with the same store', async function() {
+			const store        = new ClientSuccess.ReferenceCache.MemoryStore();
+			const requestCount = server.requests.length;
+
+			await newClient({ referenceCache : { store } }).getCustomFieldDefinitions('client');
+			await newClient({ referenceCache : { store } }).getCustomFieldDefinitions('client');
+
+			expect(requestsTo('customfield/client', requestCount)).to.have.length(1);
+		});
+
+		it('should not cache a failed load', async function() {
+			const client = newClient();
+			server.failNext({ status : 500, path : /^client-statuses$/ });
+
+			await expect(client.getClientStatuses()).to.be.rejected.and.eventually.include({ status : 500 });
+			expect(_.map(await client.getClientStatuses(), 'title')).to.deep.equal([ 'Active', 'Inactive', 'Trial', 'Terminated', 'Onboarding' ]);
+		});
+	});
+
+	describe('name resolution', function() {
+		let testClient;
+
+		before(async function() {
+			testClient = await CS.createClient({ name : `TEST named client ${(new Date()).getTime()}`, segment : 'Enterprise', status : 'Trial' });
+		});
+
+		after(async function() {
+			await CS.deleteClient(testClient.id);
+		});
+
+		it('should resolve segment and status names when creating a Client', function() {
+			expect(testClient).to.include({ clientSegmentId : 3601, statusId : ClientSuccess.ClientStatus.Trial });
+			expect(testClient).to.not.have.any.keys('segment', 'status');
+		});
+
+		it('should resolve names when updating and upserting a Client', async function() {
+			let updatedClient = await CS.updateClient(testClient.id, { segment : 'Starter' });
+			expect(updatedClient.clientSegmentId).to.equal(3602);
+
+			updatedClient = await CS.upsertClient({ clientId : testClient.id, attributes : { status : 'Active', segment : 3600 } });
+			expect(updatedClient).to.include({ statusId : ClientSuccess.ClientStatus.Active, clientSegmentId : 3600 });
+		});
+
+		it('should reject an unknown name with a 404', async function() {
+			await expect(CS.updateClient(testClient.id, { status : 'Dormant' })).to.be.rejectedWith(ClientSuccess.NotFoundError, 'Requested client status Dormant was not found');
+			await expect(CS.createClient({ name : 'Never created', segment : 'Galactic' })).to.be.rejected.and.eventually.include({ status : 404 });
+		});
+
+		it('should resolve a product name when creating a Subscription', async function() {
+			const subscription = await CS.createClientSubscription(testClient.id, { product : 'Collaborators', startDate : '2020-01-01', endDate : '2020-12-31' });
+
+			expect(subscription).to.include({ productId : 7747, clientId : testClient.id });
+			await expect(CS.createClientSubscription(testClient.id, { product : 'Nothing like it' })).to.be.rejectedWith(ClientSuccess.NotFoundError);
+			await CS.deleteClientSubscription(subscription.id);
+		});
+
+		it('should close a Client by setting its status to Terminated', async function() {
+			const closedClient = await CS.closeClient(testClient.id);
+
+			expect(closedClient.statusId).to.equal(ClientSuccess.ClientStatus.Terminated);
+		});
+	});
+
+	describe('client status', function() {
+		let testClient;
+
+		before(async function() {
+			testClient = await CS.createClient({ name : `TEST status client ${(new Date()).getTime()}`, status : 'Active' });
+		});
+
+		after(async function() {
+			await CS.deleteClient(testClient.id);
+		});
+
+		it('should read the current status with its title', async function() {
+			expect(await CS.getClientStatus(testClient.id)).to.deep.equal({ id : 1, title : 'Active' });
+		});
+
+		it('should set a status by title or ID', async function() {
+			let updatedClient = await CS.setClientStatus(testClient.id, 'Onboarding');
+			expect(updatedClient.statusId).to.equal(5);
+			expect(await CS.getClientStatus(testClient.id)).to.deep.equal({ id : 5, title : 'Onboarding' });
+
+			updatedClient = await CS.setClientStatus(testClient.id, ClientSuccess.ClientStatus.Inactive);
+			expect(updatedClient.statusId).to.equal(ClientSuccess.ClientStatus.Inactive);
+		});
+
+		it('should reject a missing or unknown status', async function() {
+			await expect(CS.setClientStatus(testClient.id)).to.be.rejectedWith(ClientSuccess.ValidationError);
+			await expect(CS.setClientStatus(testClient.id, 'Hibernating')).to.be.rejectedWith(ClientSuccess.NotFoundError);
+		});
+
+		it('should reopen a closed Client as Active unless told otherwise', async function() {
+			await CS.closeClient(testClient.id);
+			expect((await CS.getClientStatus(testClient.id)).title).to.equal('Terminated');
+
+			expect((await CS.reopenClient(testClient.id)).statusId).to.equal(ClientSuccess.ClientStatus.Active);
+
+			await CS.closeClient(testClient.id);
+			expect((await CS.reopenClient(testClient.id, { status : 'Trial' })).statusId).to.equal(ClientSuccess.ClientStatus.Trial);
+		});
+	});
+
+	describe('interactions', function() {
+		const clientId = 90273708;
+		const created  = [];
+
+		after(async function() {
+			await Promise.all(created.map(({ id }) => CS.deleteInteraction(clientId, id).catch(_.noop)));
+		});
+
+		it('should log an Interaction with its contacts, time and note', async function() {
+			const interaction = await CS.createInteraction(clientId, {
+				type         : ClientSuccess.InteractionType.Call,
+				subject      : 'Renewal call',
+				note         : 'Discussed the renewal',
+				occurredDate : new Moment('2020-03-02T15:30:00Z'),
+				contactIds   : [ 8700478 ],
+			});
+			created.push(interaction);
+
+			expect(interaction).to.include({ clientId, type : 'Call', subject : 'Renewal call', occurredDate : '2020-03-02T15:30:00.000Z' });
+			expect(interaction.contactIds).to.deep.equal([ 8700478 ]);
+		});
+
+		it('should default occurredDate to now', async function() {
+			const interaction = await CS.createInteraction(clientId, { type : 'Note', subject : 'Quick note' });
+			created.push(interaction);
+
+			expect(new Moment(interaction.occurredDate).isSame(new Moment(), 'minute')).to.be.true;
+		});
+
+		it('should validate Interactions before sending them', async function() {
+			const requestCount = server.requests.length;
+
+			await expect(CS.createInteraction(clientId, { subject : 'No type' })).to.be.rejectedWith(ClientSuccess.ValidationError, /Interaction type must be one of Call, Email, Meeting, Note/);
+			await expect(CS.createInteraction(clientId, { type : 'Fax' })).to.be.rejectedWith(ClientSuccess.ValidationError);
+			await expect(CS.createInteraction(clientId, { type : 'Email', occurredDate : 'last tuesday' })).to.be.rejectedWith(ClientSuccess.ValidationError, 'Invalid occurredDate for Interaction');
+			await expect(CS.createInteraction(clientId, { type : 'Email', contactIds : 8700478 })).to.be.rejectedWith(ClientSuccess.ValidationError);
+			await expect(CS.createInteraction('abc', { type : 'Email' })).to.be.rejectedWith(ClientSuccess.ValidationError);
+
+			expect(server.requests.length).to.equal(requestCount);
+		});
+
+		it('should surface ClientSuccess rejecting a contact of another client', async function() {
+			await expect(CS.createInteraction(90267712, { type : 'Meeting', contactIds : [ 8700478 ] })).to.be.rejected.and.eventually.include({ status : 417 });
+		});
+
+		it('should list Interactions, optionally by type or contact', async function() {
+			const meeting = await CS.createInteraction(clientId, { type : 'Meeting', subject : 'QBR' });
+			created.push(meeting);
+
+			expect(_.map(await CS.listInteractions(clientId).all(), 'id')).to.include.members(_.map(created, 'id'));
+			expect(_.map(await CS.listInteractions(clientId, { type : 'Meeting' }).all(), 'id')).to.deep.equal([ meeting.id ]);
+			expect(_.map(await CS.listInteractions(clientId, { contactId : 8700478 }).all(), 'id')).to.deep.equal([ created[0].id ]);
+		});
+
+		it('should update an Interaction and skip updates that change nothing', async function() {
+			const updated = await CS.updateInteraction(clientId, created[0].id, { note : 'Agreed to renew', occurredDate : '2020-03-02' });
+
+			expect(updated).to.include({ note : 'Agreed to renew', occurredDate : '2020-03-02T00:00:00.000Z' });
+			expect(updated.changes.attributes).to.have.all.keys('note', 'occurredDate');
+
+			const requestCount = server.requests.length;
+			const unchanged    = await CS.updateInteraction(clientId, created[0].id, { note : 'Agreed to renew' });
+			expect(unchanged.changed).to.be.false;
+			expect(_.map(server.requests.slice(requestCount), 'method')).to.deep.equal([ 'GET' ]);
+		});
+
+		it('should delete an Interaction', async function() {
+			const interaction = await CS.createInteraction(clientId, { type : 'Email', subject : 'Bye' });
+
+			await CS.deleteInteraction(clientId, interaction.id);
+
+			await expect(CS.getInteraction(clientId, interaction.id)).to.be.rejectedWith(ClientSuccess.NotFoundError);
+			expect(() => CS.deleteInteraction(clientId)).to.throw(ClientSuccess.ValidationError);
+		});
+
+		it('should plan Interaction writes in dry-run mode', async function() {
+			const dryRunClient = new ClientSuccess(config.username, config.password, undefined, undefined, { transport, dryRun : true });
+			const requestCount = server.requests.length;
+
+			const createPlan = await dryRunClient.createInteraction(clientId, { type : 'Call', occurredDate : '2020-01-01' });
+			const deletePlan = await dryRunClient.deleteInteraction(clientId, created[0].id);
+
+			expect(createPlan).to.include({ dryRun : true, action : 'create', path : `clients/${clientId}/interactions` });
+			expect(deletePlan.current.id).to.equal(created[0].id);
+			expect(server.requests.slice(requestCount).filter(({ method, path }) => method !== 'GET' && path !== 'auth')).to.be.empty;
+		});
+	});
+
+	describe('to-dos', function() {
+		const clientId = 90273708;
+		let toDo;
+
+		before(async function() {
+			toDo = await CS.createToDo(clientId, {
+				title          : 'Check in about churn risk',
+				description    : 'Usage dropped 40% this month',
+				assignedUserId : 4201,
+				dueDate        : new Moment('2020-06-15T18:00:00'),
+				priority       : ClientSuccess.ToDoPriority.High,
+			});
+		});
+
+		after(async function() {
+			await CS.deleteToDo(clientId, toDo.id).catch(_.noop);
+		});
+
+		it('should create a to-do with an assignee, due date and priority', function() {
+			expect(toDo).to.include({ clientId, title : 'Check in about churn risk', assignedUserId : 4201, dueDate : '2020-06-15', priority : 'High', completed : false });
+		});
+
+		it('should validate to-dos before sending them', async function() {
+			const requestCount = server.requests.length;
+
+			await expect(CS.createToDo(clientId, { description : 'No title' })).to.be.rejectedWith(ClientSuccess.ValidationError, 'To-do title Required');
+			await expect(CS.createToDo(clientId, { title : 'Soon', dueDate : 'someday' })).to.be.rejectedWith(ClientSuccess.ValidationError, 'Invalid dueDate for To-do');
+			await expect(CS.createToDo(clientId, { title : 'Now', priority : 'Urgent' })).to.be.rejectedWith(ClientSuccess.ValidationError, /Low, Medium, High/);
+			await expect(CS.createToDo(clientId, { title : 'Whose?', assignedUserId : 'nobody' })).to.be.rejectedWith(ClientSuccess.ValidationError);
+			await expect(CS.updateToDo(clientId, toDo.id, { title : ' ' })).to.be.rejectedWith(ClientSuccess.ValidationError);
+
+			expect(server.requests.length).to.equal(requestCount);
+		});
+
+		it('should list to-dos by assignee and completion', async function() {
+			const otherToDo = await CS.createToDo(clientId, { title : 'Someone else', assignedUserId : 4202 });
+
+			expect(_.map(await CS.listToDos(clientId, { assignedUserId : 4201 }).all(), 'id')).to.deep.equal([ toDo.id ]);
+			expect(_.map(await CS.listToDos(clientId, { completed : false }).all(), 'id')).to.include.members([ toDo.id, otherToDo.id ]);
+			await CS.deleteToDo(clientId, otherToDo.id);
+		});
+
+		it('should update a to-do', async function() {
+			const updated = await CS.updateToDo(clientId, toDo.id, { priority : 'Low', dueDate : '2020-07-01' });
+
+			expect(updated).to.include({ priority : 'Low', dueDate : '2020-07-01' });
+			expect(updated.changes.attributes).to.have.all.keys('priority', 'dueDate');
+		});
+
+		it('should complete a to-do once', async function() {
+			const completed = await CS.completeToDo(clientId, toDo.id);
+			expect(completed.completed).to.be.true;
+			expect(completed.completedDate).to.be.a('string');
+
+			const requestCount = server.requests.length;
+			const again        = await CS.completeToDo(clientId, toDo.id);
+			expect(again).to.include({ completedDate : completed.completedDate });
+			expect(again.changed).to.be.false;
+			expect(_.map(server.requests.slice(requestCount), 'method')).to.deep.equal([ 'GET' ]);
+			expect(_.map(await CS.listToDos(clientId, { completed : true }).all(), 'id')).to.deep.equal([ toDo.id ]);
+		});
+
+		it('should delete a to-do', async function() {
+			const doomed = await CS.createToDo(clientId, { title : 'Short lived' });
+
+			await CS.deleteToDo(clientId, doomed.id);
+
+			await expect(CS.getToDo(clientId, doomed.id)).to.be.rejectedWith(ClientSuccess.NotFoundError);
+			expect(() => CS.deleteToDo(clientId)).to.throw(ClientSuccess.ValidationError);
+		});
+	});
+
+	describe('employees', function() {
 		let testClient;
-		let testContact;
 
 		before(async function() {
-			// create a test client with initial attributes to use in deleteContact tests
-			const testClientName = `TEST user ${(new Date()).getTime()}`;
-			const testClientAttributesInitial = {
-				name : testClientName,
-			};
-
-			testClient = await CS.createClient(testClientAttributesInitial);
+			testClient = await CS.createClient({ name : `TEST assigned client ${(new Date()).getTime()}` });
+		});
 
-			// create a test contact with initial attributes to use in deleteContact tests
-			const newContactName = `TEST user ${(new Date()).getTime()}`;
-			const testContactAttributes = {
-				firstName : newContactName,
-				lastName  : newContactName,
-			};
+		after(async function() {
+			await CS.deleteClient(testClient.id);
+		});
 
-			testContact = await CS.createContact(testClient.id, testContactAttributes);
+		it('should list employees', async function() {
+			expect(_.map(await CS.listEmployees(), 'email')).to.deep.equal([ 'casey.morgan@example.com', 'jordan.lee@example.com' ]);
 		});
 
-		it('should delete an existing contact if a clientId and contactId are passed', async function() {
-			await CS.deleteContact(testClient.id, testContact.id);
-			expect(CS.getContact(testContact.id)).to.eventually.be.rejectedWith({ status : 404 });
+		it('should find an employee by email, ignoring case', async function() {
+			expect((await CS.getEmployeeByEmail(' Jordan.Lee@Example.com')).id).to.equal(4202);
+			await expect(CS.getEmployeeByEmail('nobody@example.com')).to.be.rejectedWith(ClientSuccess.NotFoundError);
+			await expect(CS.getEmployeeByEmail()).to.be.rejectedWith(ClientSuccess.ValidationError);
 		});
 
-		it('should throw if the contactId provided is not part of the clientId passed', async function() {
-			const testOtherClientName = `TEST other user ${(new Date()).getTime()}`;
-			const testOtherClientAttributesInitial = {
-				name : testOtherClientName,
-			}
+		it('should assign a Client by employee email or ID', async function() {
+			let assignedClient = await CS.assignClient(testClient.id, 'casey.morgan@example.com');
+			expect(assignedClient.assignedUserId).to.equal(4201);
 
-			// create another client that is not linked to the contact we are trying to delete
-			const testOtherClient = await CS.createClient(testOtherClientAttributesInitial);
+			assignedClient = await CS.assignClient(testClient.id, '4202');
+			expect(assignedClient.assignedUserId).to.equal(4202);
 
-			await expect(CS.deleteContact(testOtherClient.id, testContact.id)).to.be.rejected.and.eventually.include({
-				status : 404,
-				message : 'Client not found for contact with that id'
-			});
+			await expect(CS.assignClient(testClient.id, 9999)).to.be.rejectedWith(ClientSuccess.NotFoundError);
 		});
 
-		it('should throw and return 400 if the clientId and/or contactId are missing', async function() {
-			const expectedError = { status : 400, message : 'Client ID and Contact ID Required for Deletion' };
-			expect(() => CS.deleteContact()).to.throw(expectedError.message).that.has.property('status').which.equals(expectedError.status);
-			expect(() => CS.deleteContact(testClient.id)).to.throw(expectedError.message).that.has.property('status').which.equals(expectedError.status);
-		});
+		it('should look employees up once for many assignments', async function() {
+			const client = new ClientSuccess(config.username, config.password, undefined, undefined, { transport });
+			const requestCount = server.requests.length;
 
-		it('should return 404 if the contact does not exist', async function() {
-			expect(CS.deleteContact('This would not be a valid id', 'This should also not be a valid id')).to.eventually.be.rejectedWith({ status : 404 });
+			await client.assignClient(testClient.id, 'casey.morgan@example.com');
+			await client.assignClient(testClient.id, 'jordan.lee@example.com');
+
+			expect(_.filter(server.requests.slice(requestCount), { path : 'employees' })).to.have.length(1);
 		});
 	});
 
@@ -852,6 +2461,595 @@ describe('clientSuccessClient', function() {
 
 	});
 
+	describe('trackActivity identity', function() {
+		const externalId   = `ext-usage-${(new Date()).getTime()}`;
+		const contactEmail = `usage-${(new Date()).getTime()}@dev.roadmunk.com`;
+		let testClient;
+		let testContact;
+
+		before(async function() {
+			testClient  = await CS.createClient({ name : `TEST usage identity client ${(new Date()).getTime()}`, externalId });
+			testContact = await CS.createContact(testClient.id, { firstName : 'Usage', lastName : 'Identity', email : contactEmail });
+		});
+
+		after(async function() {
+			await CS.deleteClient(testClient.id);
+		});
+
+		it('should track activity by client externalId and contact email, looking them up once', async function() {
+			const client       = newClient();
+			const eventCount   = server.usageEvents.length;
+			const requestCount = server.requests.length;
+
+			await client.trackActivity({ clientExternalId : externalId, contactEmail, activity : 'Login' });
+			await client.trackActivity({ clientExternalId : externalId, contactEmail : contactEmail.toUpperCase(), activity : 'Login' });
+
+			const [ first, second ] = server.usageEvents.slice(eventCount);
+			expect(first.payload.identity).to.deep.equal({ organization : { id : testClient.id, name : testClient.name }, user : { id : testContact.id } });
+			expect(second.payload.identity).to.deep.equal(first.payload.identity);
+
+			const requests = server.requests.slice(requestCount);
+			expect(_.filter(requests, { path : 'clients' })).to.have.length(1);
+			expect(_.filter(requests, { path : 'contacts' })).to.have.length(1);
+		});
+
+		it('should only keep the fields it needs of the clients and contacts it looked up', async function() {
+			const client = newClient();
+
+			await client.trackActivity({ clientExternalId : externalId, contactEmail, activity : 'Login' });
+
+			expect(Array.from(client.usageIdentities.store.entries.values(), ({ value }) => value)).to.deep.equal([
+				{ id : testClient.id, name : testClient.name, externalId },
+				{ id : testContact.id },
+			]);
+		});
+
+		it('should find a contact by email through the externalId of a client given by ID', async function() {
+			const eventCount = server.usageEvents.length;
+
+			await newClient().trackActivity({ clientID : testClient.id, contactEmail, activity : 'Login' });
+			expect(server.usageEvents[eventCount].payload.identity.user).to.deep.equal({ id : testContact.id });
+		});
+
+		it('should not look the client up when given its name', async function() {
+			const client       = newClient();
+			const eventCount   = server.usageEvents.length;
+			const requestCount = server.requests.length;
+
+			await client.trackActivity({ clientID : 90273708, organizationName : 'Known Name', contactID : 8700478, activity : 'Login' });
+			expect(server.usageEvents[eventCount].payload.identity.organization).to.deep.equal({ id : 90273708, name : 'Known Name' });
+			expect(_.filter(server.requests.slice(requestCount), ({ host }) => host !== 'usage.clientsuccess.com')).to.have.length(0);
+		});
+
+		it('should reject unknown clients and contacts', async function() {
+			const client = newClient();
+			await expect(client.trackActivity({ clientExternalId : 'no-such-client', activity : 'Login' })).to.be.rejectedWith(ClientSuccess.NotFoundError);
+			await expect(client.trackActivity({ clientExternalId : externalId, contactEmail : 'nobody@example.com', activity : 'Login' })).to.be.rejectedWith(ClientSuccess.NotFoundError);
+		});
+
+		it('should validate the activity name and occurrences', async function() {
+			const client = newClient();
+			for (const invalid of [
+				{ activity : '' },
+				{ activity : '$Login' },
+				{ activity : 'x'.repeat(65) },
+				{ activity : 'Login', occurrences : 0 },
+				{ activity : 'Login', occurrences : 1.5 },
+				{ activity : 'Login', occurrences : '2' },
+			]) {
+				await expect(client.trackActivity(Object.assign({ clientID : 90273708 }, invalid))).to.be.rejectedWith(ClientSuccess.ValidationError);
+				expect(() => client.queueActivity(Object.assign({ clientID : 90273708 }, invalid))).to.throw(ClientSuccess.ValidationError);
+			}
+			await expect(client.trackActivity({ clientExternalId : 42, activity : 'Login' })).to.be.rejectedWith(ClientSuccess.ValidationError);
+		});
+
+		it('should queue activity by externalId and drop activity of unknown contacts', async function() {
+			const client     = newClient();
+			const eventCount = server.usageEvents.length;
+
+			client.queueActivity({ clientExternalId : externalId, contactEmail, activity : 'Export' });
+			client.queueActivity({ clientExternalId : externalId, contactEmail : 'nobody@example.com', activity : 'Export' });
+
+			expect(await client.flush()).to.equal(2);
+			const usageEvents = server.usageEvents.slice(eventCount);
+			expect(usageEvents).to.have.length(1);
+			expect(usageEvents[0].payload.identity.user).to.deep.equal({ id : testContact.id });
+		});
+	});
+
+	describe('usage properties', function() {
+		const userTraits = { name : 'RC Usage Contact', email : 'usage@example.com', role : 'Admin' };
+
+		it('should send event properties and user traits', async function() {
+			const eventCount = server.usageEvents.length;
+
+			await newClient().trackActivity({ clientID : 90273708, contactID : 8700478, activity : 'Login', properties : { featureArea : 'Roadmaps', plan : 'Business' }, userTraits });
+
+			const { payload } = server.usageEvents[eventCount];
+			expect(payload).to.include({ featureArea : 'Roadmaps', plan : 'Business', value : 1 });
+			expect(payload.identity.user).to.deep.equal(Object.assign({ id : 8700478 }, userTraits));
+		});
+
+		it('should send queued event properties and user traits', async function() {
+			const client     = newClient();
+			const eventCount = server.usageEvents.length;
+
+			client.queueActivity({ clientID : 90273708, contactID : 8700478, activity : 'Login', properties : { roadmapId : 'r-1' }, userTraits });
+			await client.flush();
+
+			const { payload } = server.usageEvents[eventCount];
+			expect(payload.roadmapId).to.equal('r-1');
+			expect(payload.identity.user.role).to.equal('Admin');
+		});
+
+		it('should refuse properties the client fills in, and traits without a contact', async function() {
+			const client = newClient();
+			for (const properties of [ { value : 3 }, { keen : {} }, { identity : {} }, { $plan : 'x' }, { 'plan.name' : 'x' }, [ 'plan' ] ]) {
+				await expect(client.trackActivity({ clientID : 90273708, activity : 'Login', properties })).to.be.rejectedWith(ClientSuccess.ValidationError);
+			}
+			await expect(client.trackActivity({ clientID : 90273708, activity : 'Login', userTraits })).to.be.rejectedWith(ClientSuccess.ValidationError);
+		});
+
+		it('should track several activities of one contact in one request', async function() {
+			const client       = newClient();
+			const eventCount   = server.usageEvents.length;
+			const requestCount = server.requests.length;
+
+			await client.trackActivities([
+				{ activity : 'Login' },
+				{ activity : 'Export', occurrences : 2, properties : { format : 'PDF' } },
+				{ activity : 'Login', timestamp : '2018-09-10T20:34:13.179Z' },
+			], { clientID : 90273708, contactID : 8700478, userTraits });
+
+			expect(_.filter(server.requests.slice(requestCount), { path : `collector/1.0.0/projects/${config.eventsProjectID}/events` })).to.have.length(1);
+
+			const usageEvents = server.usageEvents.slice(eventCount);
+			expect(_.map(usageEvents, 'activity')).to.deep.equal([ 'Login', 'Login', 'Export' ]);
+			expect(_.map(usageEvents, 'payload.value')).to.deep.equal([ 1, 1, 2 ]);
+			expect(usageEvents[1].payload.keen.timestamp).to.equal('2018-09-10T20:34:13.179Z');
+			expect(usageEvents[2].payload.format).to.equal('PDF');
+			usageEvents.forEach(({ payload }) => expect(payload.identity.user).to.deep.equal(Object.assign({ id : 8700478 }, userTraits)));
+		});
+
+		it('should validate every activity before tracking any', async function() {
+			const client       = newClient();
+			const requestCount = server.requests.length;
+
+			await expect(client.trackActivities([], { clientID : 90273708 })).to.be.rejectedWith(ClientSuccess.ValidationError);
+			await expect(client.trackActivities([ { activity : 'Login' }, { activity : '$Bad' } ], { clientID : 90273708 })).to.be.rejectedWith(ClientSuccess.ValidationError);
+			expect(server.requests.length).to.equal(requestCount);
+		});
+	});
+
+	describe('usage buffer', function() {
+		const batchRequests = requestCount => _.filter(server.requests.slice(requestCount), { path : `collector/1.0.0/projects/${config.eventsProjectID}/events` });
+
+		afterEach(function() {
+			server.failures = [];
+		});
+
+		it('should send queued activity in one batch on flush', async function() {
+			const client       = newClient();
+			const eventCount   = server.usageEvents.length;
+			const requestCount = server.requests.length;
+
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			client.queueActivity({ clientID : 90273708, contactID : 8700478, activity : 'Login', occurrences : 2 });
+			client.queueActivity({ clientID : 90273708, activity : 'Export', timestamp : '2018-09-10T20:34:13.179Z' });
+			expect(batchRequests(requestCount)).to.have.length(0);
+
+			expect(await client.flush()).to.equal(3);
+			expect(batchRequests(requestCount)).to.have.length(1);
+
+			const events = server.usageEvents.slice(eventCount);
+			expect(_.map(events, 'activity')).to.deep.equal([ 'Login', 'Login', 'Export' ]);
+			expect(events[0].payload.identity.organization).to.deep.equal({ id : 90273708, name : 'RC Usage Client' });
+			expect(events[1].payload.identity.user).to.deep.equal({ id : 8700478 });
+			expect(events[1].payload.value).to.equal(2);
+			expect(events[2].payload.keen.timestamp).to.equal('2018-09-10T20:34:13.179Z');
+
+			// the client's name was looked up once for all three
+			expect(_.filter(server.requests.slice(requestCount), { path : 'clients/90273708' })).to.have.length(1);
+		});
+
+		it('should flush once maxBatchSize activities are queued', async function() {
+			const client       = newClient({ usageBuffer : { maxBatchSize : 2 } });
+			const requestCount = server.requests.length;
+
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			await client.flush();
+
+			const batches = batchRequests(requestCount);
+			expect(batches).to.have.length(2);
+			expect(batches[0].body.Login).to.have.length(2);
+			expect(batches[1].body.Login).to.have.length(1);
+		});
+
+		it('should retry a failed batch', async function() {
+			const client       = newClient();
+			const requestCount = server.requests.length;
+
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			server.failNext({ status : 503, path : /events$/ });
+
+			expect(await client.flush()).to.equal(1);
+			expect(batchRequests(requestCount)).to.have.length(2);
+		});
+
+		it('should keep activity queued when a flush fails, and send it with the next', async function() {
+			const client       = newClient();
+			const eventCount   = server.usageEvents.length;
+			const requestCount = server.requests.length;
+
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			server.failNext({ status : 503, path : /events$/, times : 10 });
+
+			await expect(client.flush()).to.be.rejectedWith(ClientSuccess.CustomError);
+			expect(server.usageEvents.length).to.equal(eventCount);
+
+			expect(await client.flush()).to.equal(1);
+			expect(server.usageEvents.length).to.equal(eventCount + 1);
+			expect(batchRequests(requestCount)).to.have.length(11);
+		});
+
+		it('should drop a batch the collector refuses, and report it', async function() {
+			const dropped = [];
+			const client  = newClient({ usageBuffer : { onError : (error, events) => dropped.push({ status : error.status, events }) } });
+
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			server.failNext({ status : 400, path : /events$/ });
+
+			expect(await client.flush()).to.equal(0);
+			expect(dropped).to.have.length(1);
+			expect(dropped[0].status).to.equal(400);
+			expect(_.map(dropped[0].events, 'activity')).to.deep.equal([ 'Login' ]);
+
+			client.queueActivity({ clientID : 90273708, activity : 'Export' });
+			expect(await client.flush()).to.equal(1);
+			expect(client.usageBuffer.queue).to.be.empty;
+		});
+
+		it('should drop the oldest activity once maxQueueSize is reached', async function() {
+			const errors = [];
+			const client = newClient({ usageBuffer : { maxQueueSize : 2, onError : (error, events) => errors.push(_.map(events, 'activity')) } });
+
+			client.queueActivity({ clientID : 90273708, activity : 'First' });
+			client.queueActivity({ clientID : 90273708, activity : 'Second' });
+			client.queueActivity({ clientID : 90273708, activity : 'Third' });
+
+			expect(errors).to.deep.equal([ [ 'First' ] ]);
+			expect(_.map(client.usageBuffer.queue, 'activity')).to.deep.equal([ 'Second', 'Third' ]);
+			await client.flush();
+		});
+
+		it('should drop activity of Clients that do not exist', async function() {
+			const client     = newClient();
+			const eventCount = server.usageEvents.length;
+
+			client.queueActivity({ clientID : 123, activity : 'Login' });
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+
+			expect(await client.flush()).to.equal(2);
+			expect(_.map(server.usageEvents.slice(eventCount), 'payload.identity.organization.id')).to.deep.equal([ 90273708 ]);
+		});
+
+		it('should flush on close and refuse activity afterwards', async function() {
+			const client     = newClient({ usageBuffer : { flushInterval : 10000, flushOnExit : true } });
+			const eventCount = server.usageEvents.length;
+
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			expect(await client.close()).to.equal(1);
+			expect(server.usageEvents.length).to.equal(eventCount + 1);
+
+			expect(() => client.queueActivity({ clientID : 90273708, activity : 'Login' })).to.throw('closed');
+		});
+
+		it('should send each batch once on close and give up after the timeout', async function() {
+			const client       = newClient();
+			const requestCount = server.requests.length;
+
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			server.failNext({ status : 503, path : /events$/, times : 10 });
+
+			await expect(client.close()).to.be.rejectedWith(ClientSuccess.ServiceUnavailableError);
+			expect(batchRequests(requestCount)).to.have.length(1);
+			expect(_.map(client.usageBuffer.queue, 'activity')).to.deep.equal([ 'Login' ]);
+		});
+
+		it('should reject close once the timeout passes, leaving the activity queued', async function() {
+			const sent   = [];
+			const buffer = new ClientSuccess.UsageBuffer((batch, options) => {
+				sent.push(options);
+				return new Promise(_.noop);
+			}, { flushInterval : 0, flushOnExit : false });
+
+			buffer.push({ activity : 'Login' });
+			buffer.push({ activity : 'Export' });
+
+			await expect(buffer.close({ timeout : 10 })).to.be.rejectedWith('not flushed within 10ms');
+			expect(sent).to.deep.equal([ { final : true } ]);
+		});
+
+		it('should validate queued activity', function() {
+			const client = newClient();
+			expect(() => client.queueActivity({ activity : 'Login' })).to.throw(ClientSuccess.ValidationError);
+			expect(() => client.queueActivity({ clientID : 90273708 })).to.throw(ClientSuccess.ValidationError);
+		});
+	});
+
+	describe('outbox', function() {
+		const outboxPath      = path.join(os.tmpdir(), `clientsuccess-outbox-${process.pid}.jsonl`);
+		const newOutboxClient = outbox => newClient({ outbox, retry : { baseDelay : 0, maxAttempts : 2 }, replayInterval : 0 });
+
+		afterEach(function() {
+			server.setAvailable(true);
+			server.failures = [];
+			if (fs.existsSync(outboxPath)) {
+				fs.unlinkSync(outboxPath);
+			}
+		});
+
+		it('should keep writes made while ClientSuccess is unavailable, and replay them in order', async function() {
+			const client       = newOutboxClient({});
+			const doomedClient = await client.createClient({ name : `TEST outbox doomed client ${(new Date()).getTime()}` });
+			const name         = `TEST outbox client ${(new Date()).getTime()}`;
+
+			server.setAvailable(false);
+			const createError = await client.createClient({ name }).catch(error => error);
+			const deleteError = await client.deleteClient(doomedClient.id).catch(error => error);
+			expect(createError).to.include({ status : 503, queued : true });
+			expect(deleteError).to.include({ status : 503, queued : true });
+			expect(_.map(await client.outbox.pending(), 'method')).to.deep.equal([ 'POST', 'DELETE' ]);
+
+			server.setAvailable(true);
+			const requestCount = server.requests.length;
+			expect(await client.replayOutbox()).to.equal(2);
+			expect(_.map(server.requests.slice(requestCount), 'method')).to.deep.equal([ 'POST', 'DELETE' ]);
+			expect(server.requests[requestCount].headers['Idempotency-Key']).to.equal(createError.outboxId);
+
+			expect(_.filter(Array.from(server.clients.values()), { name })).to.have.length(1);
+			expect(server.clients.has(doomedClient.id)).to.be.false;
+			expect(await client.replayOutbox()).to.equal(0);
+		});
+
+		it('should replay queued writes to a record before a later write to it', async function() {
+			const client = newOutboxClient({});
+			const target = await client.createClient({ name : 'TEST outbox ordered client' });
+
+			server.setAvailable(false);
+			const staleError = await client.hitClientSuccessAPI('PUT', `clients/${target.id}`, Object.assign({}, target, { name : 'Stale' })).catch(error => error);
+			expect(staleError.queued).to.be.true;
+
+			// still down: the later write waits behind the queued one without being sent
+			const requestCount = server.requests.length;
+			const waitingError = await client.hitClientSuccessAPI('PUT', `clients/${target.id}`, Object.assign({}, target, { name : 'Waiting' })).catch(error => error);
+			expect(waitingError).to.include({ status : 503, queued : true });
+			expect(_.map(server.requests.slice(requestCount), 'body.name')).to.not.include('Waiting');
+
+			server.setAvailable(true);
+			await client.updateClient(target.id, { name : 'Newest' });
+			expect(server.clients.get(target.id).name).to.equal('Newest');
+
+			expect(await client.replayOutbox()).to.equal(0);
+			expect(server.clients.get(target.id).name).to.equal('Newest');
+		});
+
+		it('should replay a queued update before reading the record for a later update', async function() {
+			const client = newOutboxClient({});
+			const target = await client.createClient({ name : 'TEST outbox merged client' });
+
+			server.failNext({ status : 503, method : 'PUT', times : 2 });
+			const renameError = await client.updateClient(target.id, { name : 'TEST outbox merged renamed' }).catch(error => error);
+			expect(renameError.queued).to.be.true;
+
+			await client.updateClient(target.id, { statusId : 2 });
+
+			expect(server.clients.get(target.id)).to.include({ name : 'TEST outbox merged renamed', statusId : 2 });
+			expect(await client.outbox.pending()).to.have.length(0);
+		});
+
+		it('should refuse an update while earlier writes to the record can\'t be replayed', async function() {
+			const client = newOutboxClient({});
+			const target = await client.createClient({ name : 'TEST outbox refused update client' });
+
+			server.failNext({ status : 503, method : 'PUT', times : 4 });
+			await client.updateClient(target.id, { name : 'TEST outbox first rename' }).catch(_.noop);
+
+			const error = await client.updateClient(target.id, { statusId : 2 }).catch(caught => caught);
+			expect(error).to.be.an.instanceof(ClientSuccess.ServiceUnavailableError);
+			expect(error.queued).to.be.undefined;
+			expect(_.map(await client.outbox.pending(), 'body.name')).to.deep.equal([ 'TEST outbox first rename' ]);
+		});
+
+		it('should reject without queueing writes whose read of the record fails', async function() {
+			const client       = newOutboxClient({});
+			const externalId   = `${(new Date()).getTime()}outbox`;
+			const target       = await client.createClient({ name : 'TEST outbox read first client', externalId });
+			const contact      = await client.createContact(target.id, { firstName : 'Read', lastName : 'First' });
+			const subscription = await client.createClientSubscription(target.id, { productId : 7747 });
+
+			server.setAvailable(false);
+			for (const write of [
+				() => client.updateClient(target.id, { name : 'TEST outbox never renamed' }),
+				() => client.closeClient(target.id),
+				() => client.upsertClient({ clientId : target.id, attributes : { name : 'TEST outbox never upserted' } }),
+				() => client.createClient({ name : 'TEST outbox never created', externalId }),
+				() => client.updateContact(target.id, contact.id, { firstName : 'Never' }),
+				() => client.terminateSubscription(subscription.id),
+			]) {
+				const error = await write().catch(caught => caught);
+				expect(error.status).to.equal(503);
+				expect(error.queued).to.be.undefined;
+			}
+			expect(await client.outbox.pending()).to.have.length(0);
+		});
+
+		it('should not queue creates that have custom attributes to follow', async function() {
+			const client       = newOutboxClient({});
+			await client.getCustomFieldDefinitions('client');
+			await client.getCustomFieldDefinitions('contact');
+
+			server.setAvailable(false);
+			const requestCount = server.requests.length;
+			const createError  = await client.createClient({ name : 'TEST outbox custom client' }, { 'Account Notes' : 'Notes' }).catch(error => error);
+			expect(createError.status).to.equal(503);
+			expect(createError.queued).to.be.undefined;
+
+			const contactError = await client.createContact(90267712, { firstName : 'Custom', lastName : 'Contact' }, { 'External ID' : '7' }).catch(error => error);
+			expect(contactError.status).to.equal(503);
+			expect(contactError.queued).to.be.undefined;
+			expect(await client.outbox.pending()).to.have.length(0);
+			expect(_.map(server.requests.slice(requestCount), 'method')).to.deep.equal([ 'POST', 'POST' ]);
+		});
+
+		it('should not keep writes that fail for other reasons, or reads', async function() {
+			const client = newOutboxClient({});
+
+			server.failNext({ status : 400, method : 'POST', path : /^clients$/ });
+			const createError = await client.createClient({ name : 'TEST outbox refused client' }).catch(error => error);
+			expect(createError.status).to.equal(400);
+			expect(createError.queued).to.be.undefined;
+
+			server.setAvailable(false);
+			await expect(client.getClient(90267712)).to.be.rejectedWith(ClientSuccess.CustomError);
+			expect(await client.outbox.pending()).to.have.length(0);
+		});
+
+		it('should only keep a create ClientSuccess turned away, as one that failed otherwise may have been applied', async function() {
+			const client = newOutboxClient({});
+			const target = await client.createClient({ name : 'TEST outbox network client' });
+
+			server.failNext({ code : 'ECONNRESET', method : 'POST', path : /^clients$/ });
+			const networkError = await client.createClient({ name : 'TEST outbox maybe created client' }).catch(error => error);
+			expect(networkError).to.be.an.instanceof(ClientSuccess.NetworkError);
+			expect(networkError.queued).to.be.undefined;
+
+			server.failNext({ status : 502, method : 'POST', path : /^clients$/ });
+			const gatewayError = await client.createClient({ name : 'TEST outbox maybe created client' }).catch(error => error);
+			expect(gatewayError.status).to.equal(502);
+			expect(gatewayError.queued).to.be.undefined;
+
+			// sending an update twice does no harm
+			server.failNext({ code : 'ECONNRESET', method : 'PUT', times : 2 });
+			const updateError = await client.updateClient(target.id, { name : 'TEST outbox renamed client' }).catch(error => error);
+			expect(updateError.queued).to.be.true;
+			expect(_.map(await client.outbox.pending(), 'method')).to.deep.equal([ 'PUT' ]);
+		});
+
+		it('should stop replaying at the first write ClientSuccess is still unavailable for', async function() {
+			const client = newOutboxClient({});
+			const names  = [ 1, 2 ].map(number => `TEST outbox client ${number} ${(new Date()).getTime()}`);
+
+			server.setAvailable(false);
+			for (const name of names) {
+				await client.createClient({ name }).catch(_.noop);
+			}
+
+			server.setAvailable(true);
+			server.failNext({ status : 503, method : 'POST', path : /^clients$/ });
+			expect(await client.replayOutbox()).to.equal(0);
+			expect(_.map(await client.outbox.pending(), 'body.name')).to.deep.equal(names);
+
+			expect(await client.replayOutbox()).to.equal(2);
+		});
+
+		it('should drop writes ClientSuccess refuses when they are replayed', async function() {
+			const client = newOutboxClient({});
+
+			server.setAvailable(false);
+			await client.deleteClient(123).catch(_.noop);
+			server.setAvailable(true);
+
+			expect(await client.replayOutbox()).to.equal(0);
+			expect(await client.outbox.pending()).to.have.length(0);
+		});
+
+		it('should keep activity tracked while the collector is unavailable', async function() {
+			const client     = newOutboxClient({});
+			const eventCount = server.usageEvents.length;
+
+			server.failNext({ status : 503, path : /events/ });
+			const trackError = await client.trackActivity({ clientID : 90273708, activity : 'Login' }).catch(error => error);
+			expect(trackError.queued).to.be.true;
+
+			expect(await client.replayOutbox()).to.equal(1);
+			const [ usageEvent ] = server.usageEvents.slice(eventCount);
+			expect(usageEvent.activity).to.equal('Login');
+			expect(usageEvent.payload.keen.timestamp).to.not.equal('');
+		});
+
+		it('should keep queued activity once the collector stays unavailable', async function() {
+			const client = newOutboxClient({});
+
+			await client.getClient(90273708); // looked up before the outage
+			client.queueActivity({ clientID : 90273708, activity : 'Login' });
+			client.queueActivity({ clientID : 90273708, activity : 'Export' });
+			server.failNext({ status : 503, path : /events$/, times : 2 });
+
+			expect(await client.flush()).to.equal(2);
+			const [ entry ] = await client.outbox.pending();
+			expect(_.keys(entry.body)).to.deep.equal([ 'Login', 'Export' ]);
+
+			expect(await client.replayOutbox()).to.equal(1);
+		});
+
+		it('should put queued activity in the outbox after one attempt on close', async function() {
+			const client = newOutboxClient({});
+			const requestCount = server.requests.length;
+
+			client.queueActivity({ clientID : 90273708, organizationName : 'RC Usage Client', activity : 'Login' });
+			server.failNext({ status : 503, path : /events$/, times : 10 });
+
+			expect(await client.close()).to.equal(1);
+			expect(_.filter(server.requests.slice(requestCount), ({ path : requestPath }) => /events$/.test(requestPath))).to.have.length(1);
+			expect(_.map(await client.outbox.pending(), 'type')).to.deep.equal([ 'usage' ]);
+		});
+
+		it('should replay from a file after a restart', async function() {
+			const name = `TEST outbox file client ${(new Date()).getTime()}`;
+
+			server.setAvailable(false);
+			await newOutboxClient({ path : outboxPath }).createClient({ name }).catch(_.noop);
+			server.setAvailable(true);
+
+			fs.appendFileSync(outboxPath, '{"add":{"id":"half-writ'); // as left by a crash mid-write
+
+			const restarted = newOutboxClient({ path : outboxPath });
+			expect(_.map(await restarted.outbox.pending(), 'body.name')).to.deep.equal([ name ]);
+			expect(await restarted.replayOutbox()).to.equal(1);
+			expect(_.filter(Array.from(server.clients.values()), { name })).to.have.length(1);
+			expect(fs.readFileSync(outboxPath, 'utf8')).to.equal('');
+		});
+
+		it('should keep entries added after a line left half-written by a crash', async function() {
+			fs.writeFileSync(outboxPath, '{"add":{"id":"a"}}\n{"add":{"id":"half-wr');
+
+			await new ClientSuccess.Outbox({ path : outboxPath }).add({ id : 'b' });
+
+			const restarted = new ClientSuccess.Outbox({ path : outboxPath });
+			expect(_.map(await restarted.pending(), 'id')).to.deep.equal([ 'a', 'b' ]);
+		});
+
+		it('should apply a write sent again with the same idempotency key once', async function() {
+			const name           = `TEST idempotent client ${(new Date()).getTime()}`;
+			const idempotencyKey = `key-${(new Date()).getTime()}`;
+
+			const first  = await CS.hitClientSuccessAPI('POST', 'clients', { name }, { idempotencyKey });
+			const second = await CS.hitClientSuccessAPI('POST', 'clients', { name }, { idempotencyKey });
+			expect(second.id).to.equal(first.id);
+			expect(_.filter(Array.from(server.clients.values()), { name })).to.have.length(1);
+		});
+
+		it('should add an entry once', async function() {
+			const outbox = new ClientSuccess.Outbox();
+			expect(await outbox.add({ id : 'a' })).to.be.true;
+			expect(await outbox.add({ id : 'a' })).to.be.false;
+			expect(await outbox.pending()).to.have.length(1);
+		});
+	});
+
 	describe('getProductId', async function() {
 		it('should return back a product ID', async function() {
 			const testProductID = await CS.getProductId('DNE');
@@ -1049,6 +3247,75 @@ describe('clientSuccessClient', function() {
 		});
 	});
 
+	describe('subscription history', function() {
+		let testClient;
+		let subscriptions;
+
+		beforeEach(async function() {
+			testClient = await CS.createClient({ name : `TEST subscription history client ${(new Date()).getTime()}` });
+
+			subscriptions = {
+				current : await CS.createClientSubscription(testClient.id, { productId : 7747, amount : 100, quantity : 2, startDate : '2024-03-01', endDate : '2025-02-28' }),
+				old     : await CS.createClientSubscription(testClient.id, { productId : 7747, amount : 80, startDate : '2023-03-01', endDate : '2024-02-29', terminationDate : '2024-02-29T00:00:00.000Z' }),
+				pending : await CS.createClientSubscription(testClient.id, { productId : 7747, amount : 120, startDate : '2025-03-01', endDate : '2026-02-28', isPotential : true }),
+				ending  : await CS.createClientSubscription(testClient.id, { productId : 7747, amount : 10, startDate : '2024-03-01', endDate : '2024-03-30', terminationDate : Moment.utc().add(1, 'month').format('YYYY-MM-DD') }),
+			};
+		});
+
+		afterEach(async function() {
+			await CS.deleteClient(testClient.id);
+		});
+
+		it('should list subscriptions oldest first, leaving out potential and terminated ones unless asked', async function() {
+			const listed = await CS.listClientSubscriptions(testClient.id);
+			expect(_.map(listed, 'id')).to.deep.equal([ subscriptions.current.id, subscriptions.ending.id ]);
+
+			const all = await CS.listClientSubscriptions(testClient.id, { includePotential : true, includeTerminated : true });
+			expect(_.map(all, 'id')).to.deep.equal([ subscriptions.old.id, subscriptions.current.id, subscriptions.ending.id, subscriptions.pending.id ]);
+			expect(all[0].terminationDate).to.equal('2024-02-29');
+
+			expect(_.map(await CS.listClientSubscriptions(testClient.id, { includePotential : true }), 'id')).to.include(subscriptions.pending.id);
+			await expect(CS.listClientSubscriptions()).to.be.rejectedWith(ClientSuccess.ValidationError);
+		});
+
+		it('should renew a subscription for the same term, terminating the old line', async function() {
+			const { previous, renewal } = await CS.renewSubscription(subscriptions.current.id, { amount : 110 });
+
+			expect(renewal).to.include({ clientId : testClient.id, productId : 7747, amount : 110, quantity : 2, startDate : '2025-03-01', endDate : '2026-02-28' });
+			expect(previous).to.include({ id : subscriptions.current.id, terminationDate : '2025-02-28', renewedDate : '2025-03-01' });
+			expect(server.subscriptions.get(subscriptions.current.id).renewedDate).to.equal('2025-03-01');
+		});
+
+		it('should renew a subscription of days for as many days, from a given start', async function() {
+			const { previous, renewal } = await CS.renewSubscription(subscriptions.ending.id, { startDate : new Date(Date.UTC(2024, 2, 20)) });
+
+			expect(renewal).to.include({ startDate : '2024-03-20', endDate : '2024-04-18' });
+			expect(previous.terminationDate).to.equal('2024-03-19');
+		});
+
+		it('should need dates to renew a subscription without them', async function() {
+			const undated = await CS.createClientSubscription(testClient.id, { productId : 7747 });
+
+			await expect(CS.renewSubscription(undated.id)).to.be.rejectedWith(ClientSuccess.ValidationError);
+			await expect(CS.renewSubscription(subscriptions.current.id, { endDate : 'soon' })).to.be.rejectedWith(ClientSuccess.ValidationError);
+
+			const { renewal } = await CS.renewSubscription(undated.id, { startDate : '2024-01-01', endDate : Moment.utc('2024-12-31') });
+			expect(renewal).to.include({ startDate : '2024-01-01', endDate : '2024-12-31' });
+		});
+
+		it('should terminate a subscription', async function() {
+			const terminated = await CS.terminateSubscription(subscriptions.current.id, '2024-09-15');
+			expect(terminated.terminationDate).to.equal('2024-09-15');
+			expect(_.map(await CS.listClientSubscriptions(testClient.id), 'id')).to.not.include(subscriptions.current.id);
+
+			const today = await CS.terminateSubscription(subscriptions.ending.id);
+			expect(today.terminationDate).to.equal(Moment.utc().format('YYYY-MM-DD'));
+
+			await expect(CS.terminateSubscription(subscriptions.pending.id, 'someday')).to.be.rejectedWith(ClientSuccess.ValidationError);
+			await expect(CS.terminateSubscription(123)).to.be.rejectedWith(ClientSuccess.NotFoundError);
+		});
+	});
+
 	describe('cleanup', async function() {
 		if (runWriteTests) {
 			// set a longer timeout for this function as it will surely take longer than 2 seconds to clean everything
@@ -0,0 +1,184 @@
+const JS = require('@roadmunk/jsclass');
+
+const UsageBuffer = module.exports = JS.class('UsageBuffer');
+
+const DEFAULT_MAX_BATCH_SIZE = 100;	// events sent in one request to the usage collector
+const DEFAULT_FLUSH_INTERVAL = 10000;	// milliseconds between flushes of whatever has been queued
+const DEFAULT_MAX_QUEUE_SIZE = 10000;	// events kept while batches keep failing, the oldest are dropped beyond this
+
+/**
+ * In-memory queue of usage events, sent in batches once maxBatchSize events are waiting and every flushInterval.
+ * Events of a batch that fails with a retryable error go back to the front of the queue for the next flush, up to
+ * maxQueueSize events. A batch that fails for any other reason is dropped and reported to onError.
+ * The beforeExit flush only happens when the event loop empties on its own, not on a signal or process.exit(),
+ * so call close() on shutdown. The flushes of close() and beforeExit are final: send is told not to retry, as
+ * nothing will be left to send the batch again, and close() can be given a timeout so shutdown isn't held up.
+ */
+JS.class(UsageBuffer, {
+	fields : {
+		send          : null,
+		maxBatchSize  : DEFAULT_MAX_BATCH_SIZE,
+		flushInterval : DEFAULT_FLUSH_INTERVAL,
+		flushOnExit   : true,
+		maxQueueSize  : DEFAULT_MAX_QUEUE_SIZE,
+		onError       : null,
+		isRetryable   : null,
+		queue         : null,
+		timer         : null,
+		flushing      : null,
+		exitListener  : null,
+		closed        : false,
+	},
+
+	/**
+	 * @param {Function} send                          - Sends one batch: called with an array of events and { final }, returns a Promise
+	 * @param {Object}   [options]
+	 * @param {Number}   [options.maxBatchSize=100]    - Events per batch. A flush starts as soon as this many are queued
+	 * @param {Number}   [options.flushInterval=10000] - Milliseconds between automatic flushes, 0 to only flush by size or by hand
+	 * @param {Boolean}  [options.flushOnExit=true]    - Flush on the process's beforeExit event, which signals and process.exit() skip
+	 * @param {Number}   [options.maxQueueSize=10000]  - Events kept at most. The oldest are dropped, and reported to onError, beyond this
+	 * @param {Function} [options.onError]             - Called with the error of an automatic flush that failed, of a batch that was
+	 *                                                   dropped (and the batch), or of events dropped from a full queue (and the events)
+	 * @param {Function} [options.isRetryable]         - Called with the error of a failed batch, false to drop the batch rather than
+	 *                                                   send it again. Every batch is sent again by default
+	 */
+	constructor : function(send, { maxBatchSize = DEFAULT_MAX_BATCH_SIZE, flushInterval = DEFAULT_FLUSH_INTERVAL, flushOnExit = true, maxQueueSize = DEFAULT_MAX_QUEUE_SIZE, onError = () => {}, isRetryable = () => true } = {}) {
+		this.send          = send;
+		this.maxBatchSize  = maxBatchSize;
+		this.flushInterval = flushInterval;
+		this.flushOnExit   = flushOnExit;
+		this.maxQueueSize  = maxQueueSize;
+		this.onError       = onError;
+		this.isRetryable   = isRetryable;
+		this.queue         = [];
+	},
+
+	methods : {
+		/**
+		 * Queue an event to be sent with the next batch.
+		 * @param {Object} event
+		 */
+		push : function(event) {
+			if (this.closed) {
+				throw new Error('UsageBuffer is closed');
+			}
+
+			this.queue.push(event);
+			this.trim();
+			this.start();
+
+			if (this.queue.length >= this.maxBatchSize) {
+				this.flush().catch(this.onError);
+			}
+		},
+
+		/**
+		 * Send every queued event. A flush asked for while another is running waits for it, then sends what was queued meanwhile.
+		 * @return Promise<Number> - Number of events sent. Rejects with the error of the first batch that failed and was kept
+		 */
+		flush : function({ final = false } = {}) {
+			if (this.flushing) {
+				return this.flushing.then(() => this.flush({ final }));
+			}
+
+			this.flushing = this.drain(final).finally(() => {
+				this.flushing = null;
+			});
+			return this.flushing;
+		},
+
+		/**
+		 * Stop flushing automatically, then flush what is left. Events can't be queued once closed.
+		 * @param  {Object} [options]
+		 * @param  {Number} [options.timeout] - Milliseconds to wait for the flush. It carries on after that, reporting a failure
+		 *                                      to onError, and events not yet sent stay queued
+		 * @return Promise<Number>            - As flush(). Rejects when the timeout passes first
+		 */
+		close : function({ timeout } = {}) {
+			this.closed = true;
+
+			clearInterval(this.timer);
+			this.timer = null;
+			if (this.exitListener) {
+				process.removeListener('beforeExit', this.exitListener);
+				this.exitListener = null;
+			}
+
+			const flushed = this.flush({ final : true });
+			if (!timeout) {
+				return flushed;
+			}
+
+			return new Promise((resolve, reject) => {
+				const timer = setTimeout(() => {
+					flushed.catch(this.onError);
+					reject(new Error(`UsageBuffer was not flushed within ${timeout}ms, ${this.queue.length} events are still queued`));
+				}, timeout);
+
+				flushed.then(sent => {
+					clearTimeout(timer);
+					resolve(sent);
+				}, error => {
+					clearTimeout(timer);
+					reject(error);
+				});
+			});
+		},
+
+		/**
+		 * @private
+		 */
+		drain : async function(final) {
+			let sent = 0;
+			while (this.queue.length) {
+				const batch = this.queue.splice(0, this.maxBatchSize);
+				try {
+					await this.send(batch, { final });
+				}
+				catch (error) {
+					if (!this.isRetryable(error)) {
+						this.onError(error, batch);
+						continue;
+					}
+
+					this.queue.unshift(...batch);
+					this.trim();
+					throw error;
+				}
+				sent += batch.length;
+			}
+			return sent;
+		},
+
+		/**
+		 * Drop the oldest events beyond maxQueueSize.
+		 * @private
+		 */
+		trim : function() {
+			if (this.queue.length > this.maxQueueSize) {
+				const dropped = this.queue.splice(0, this.queue.length - this.maxQueueSize);
+				this.onError(new Error(`UsageBuffer is full, dropped the ${dropped.length} oldest events`), dropped);
+			}
+		},
+
+		/**
+		 * Set up the interval timer and the exit hook, neither of which keeps the process alive on its own.
+		 * @private
+		 */
+		start : function() {
+			if (!this.timer && this.flushInterval) {
+				this.timer = setInterval(() => this.flush().catch(this.onError), this.flushInterval);
+				this.timer.unref();
+			}
+
+			if (!this.exitListener && this.flushOnExit) {
+				// beforeExit fires again once the flush is done, the listener is added back by the next push
+				this.exitListener = () => {
+					this.exitListener = null;
+					this.flush({ final : true }).catch(this.onError);
+				};
+				process.once('beforeExit', this.exitListener);
+			}
+		},
+	},
+});